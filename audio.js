@@ -3,28 +3,706 @@
  * Enhanced harp sound with adjustable parameters
  */
 
+/**
+ * Fixed-size pool of synth voices shared by all strings
+ * A string segment holds a voice only while it sounds; when every voice is busy
+ * the oldest or quietest one is stolen. Sympathetic ringing ("...:sympathetic" keys)
+ * is stolen first and never steals a plucked note.
+ */
+class VoicePool {
+    /**
+     * Create voice pool
+     *
+     * @param {function} createSynth - Creates one voice's synth
+     * @param {function} disposeSynth - Disposes one voice's synth
+     * @param {number} size - Number of voices (polyphony)
+     * @param {string} stealMode - 'oldest' or 'quietest'
+     */
+    constructor(createSynth, disposeSynth, size, stealMode) {
+        this.createSynth = createSynth;
+        this.disposeSynth = disposeSynth;
+        this.stealMode = stealMode || AUDIO_CONSTANTS.DEFAULT_STEAL_MODE;
+        this.voices = [];
+        this.resize(size);
+    }
+
+    /**
+     * Grow or shrink the pool
+     * @param {number} size - Number of voices
+     */
+    resize(size) {
+        while (this.voices.length < size) {
+            this.voices.push({ synth: this.createSynth(), key: null, startTime: -Infinity, endTime: -Infinity, velocity: 0 });
+        }
+        while (this.voices.length > size) {
+            this.disposeSynth(this.voices.pop().synth);
+        }
+    }
+
+    /**
+     * Assign a voice to a string segment
+     * A segment that is still sounding keeps its voice, like re-plucking a real string.
+     * @param {string} key - String segment key ("index:segment")
+     * @param {number} time - Start time in seconds
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @returns {object|null} - Synth to play the note on, or null if a sympathetic note finds no voice
+     */
+    allocate(key, time, duration, velocity) {
+        let voice = this.voices.find(v => v.key === key && v.endTime > time) ||
+            this.voices.find(v => v.endTime <= time);
+
+        if (!voice) {
+            voice = this.findVoiceToSteal(time, isSympatheticKey(key));
+            if (!voice) return null;
+        }
+
+        voice.key = key;
+        voice.startTime = time;
+        voice.endTime = time + duration;
+        voice.velocity = velocity;
+        return voice.synth;
+    }
+
+    /**
+     * Pick the busy voice to cut off, taking sympathetic ringing before plucked notes
+     * @param {number} time - Current time in seconds
+     * @param {boolean} sympatheticOnly - Only sympathetic voices may be taken
+     * @returns {object|null} - Voice, or null if none may be taken
+     */
+    findVoiceToSteal(time, sympatheticOnly) {
+        const sympathetic = this.voices.filter(v => isSympatheticKey(v.key));
+        const candidates = sympathetic.length > 0 || sympatheticOnly ? sympathetic : this.voices;
+        if (candidates.length === 0) return null;
+
+        if (this.stealMode === 'quietest') {
+            // Estimate level as velocity decaying linearly over the note
+            const level = v => v.velocity * Math.max(0, 1 - (time - v.startTime) / (v.endTime - v.startTime));
+            return candidates.reduce((quietest, v) => level(v) < level(quietest) ? v : quietest);
+        }
+        return candidates.reduce((oldest, v) => v.startTime < oldest.startTime ? v : oldest);
+    }
+
+    /**
+     * Count voices still sounding
+     * @param {number} time - Current time in seconds
+     * @returns {number}
+     */
+    getActiveCount(time) {
+        return this.voices.filter(v => v.endTime > time).length;
+    }
+
+    /**
+     * Get voices still sounding for keys that start with a prefix
+     * @param {string} prefix - Key prefix ("index:" for one string, "" for all)
+     * @param {number} time - Current time in seconds
+     * @returns {Array<object>} - Voices
+     */
+    findSounding(prefix, time) {
+        return this.voices.filter(v => v.endTime > time && v.key !== null && v.key.startsWith(prefix));
+    }
+
+    getSynths() {
+        return this.voices.map(v => v.synth);
+    }
+
+    dispose() {
+        this.voices.forEach(v => {
+            try {
+                this.disposeSynth(v.synth);
+            } catch (e) {
+                console.warn('Error disposing voice:', e);
+            }
+        });
+        this.voices = [];
+    }
+}
+
+/**
+ * Check whether a voice key is for sympathetic ringing
+ * @param {string|null} key - Voice key
+ * @returns {boolean}
+ */
+function isSympatheticKey(key) {
+    return key !== null && key.endsWith(':sympathetic');
+}
+
+/**
+ * Additive voice that sums decaying sine modes of a string
+ * The engine sets the modes from the string's physics before each note; without
+ * them the voice falls back to a plain harmonic series. Each note starts one-shot
+ * oscillators that stop once their mode has died away, so a silent voice costs nothing.
+ */
+class ModalSynth {
+    /**
+     * Create modal voice
+     *
+     * @param {number} partialCount - Number of sine modes (optional)
+     */
+    constructor(partialCount) {
+        partialCount = partialCount || AUDIO_CONSTANTS.MODAL_PARTIALS;
+
+        this.output = new Tone.Gain(1);
+        this.modes = null;
+        this.partials = [];
+        this.sources = []; // Oscillators still playing
+        for (let i = 0; i < partialCount; i++) {
+            const gain = new Tone.Gain(0);
+            gain.connect(this.output);
+            this.partials.push({ gain: gain });
+        }
+    }
+
+    /**
+     * Set the modes for the next note
+     * @param {Array<object>|null} modes - [{ratio, amplitude, decay}] as from HarpString.getModes
+     */
+    setModes(modes) {
+        this.modes = modes && modes.length > 0 ? modes : null;
+    }
+
+    /**
+     * Default modes: harmonic series with 1/n amplitudes and a uniform decay
+     * @returns {Array<object>} - [{ratio, amplitude, decay}]
+     */
+    getDefaultModes() {
+        return this.partials.map((partial, i) => ({ ratio: i + 1, amplitude: 1 / (i + 1), decay: 2 }));
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    disconnect() {
+        this.output.disconnect();
+        return this;
+    }
+
+    /**
+     * Strike every mode and let each decay at its own rate
+     * @param {number} frequency - Fundamental in Hz
+     * @param {number} duration - Seconds before the note is released
+     * @param {number} time - Context time (optional, defaults to now)
+     * @param {number} velocity - 0 to 1 (optional)
+     */
+    triggerAttackRelease(frequency, duration, time, velocity) {
+        time = time === undefined ? Tone.now() : time;
+        velocity = velocity === undefined ? 1 : velocity;
+
+        const modes = this.modes || this.getDefaultModes();
+        const attackEnd = time + AUDIO_CONSTANTS.MODAL_ATTACK;
+        const tail = AUDIO_CONSTANTS.MODAL_TAIL_TIME_CONSTANTS;
+
+        // The gains restart from silence, so the last note's oscillators can stop here
+        this.stopSources(time);
+
+        this.partials.forEach((partial, i) => {
+            const mode = modes[i];
+            const gain = partial.gain.gain;
+            gain.cancelScheduledValues(time);
+
+            if (!mode || frequency * mode.ratio >= 20000) {
+                gain.setTargetAtTime(0, time, AUDIO_CONSTANTS.MODAL_ATTACK);
+                return;
+            }
+
+            gain.setValueAtTime(0, time);
+            gain.linearRampToValueAtTime(mode.amplitude * velocity * AUDIO_CONSTANTS.MODAL_GAIN, attackEnd);
+            gain.setTargetAtTime(0, attackEnd, mode.decay);
+            gain.setTargetAtTime(0, time + duration, AUDIO_CONSTANTS.MODAL_RELEASE);
+
+            // Tone disposes ended oscillators itself
+            const oscillator = new Tone.ToneOscillatorNode(frequency * mode.ratio, 'sine');
+            oscillator.connect(partial.gain);
+            oscillator.onended = () => {
+                this.sources = this.sources.filter(s => s !== oscillator);
+            };
+            this.sources.push(oscillator);
+
+            oscillator.start(time);
+            oscillator.stopTime = Math.min(time + duration + tail * AUDIO_CONSTANTS.MODAL_RELEASE, attackEnd + tail * mode.decay);
+            oscillator.stop(oscillator.stopTime);
+        });
+        return this;
+    }
+
+    /**
+     * Stop the playing oscillators
+     * Only brings stops forward, since stopping a source again cancels its earlier stop.
+     * @param {number} time - Context time
+     */
+    stopSources(time) {
+        this.sources.forEach(source => {
+            if (source.stopTime > time) {
+                source.stopTime = time;
+                source.stop(time);
+            }
+        });
+    }
+
+    /**
+     * Release every mode
+     * @param {number} time - Context time (optional, defaults to now)
+     */
+    releaseAll(time) {
+        time = time === undefined ? Tone.now() : time;
+        this.partials.forEach(partial => {
+            partial.gain.gain.cancelScheduledValues(time);
+            partial.gain.gain.setTargetAtTime(0, time, AUDIO_CONSTANTS.MODAL_RELEASE);
+        });
+        this.stopSources(time + AUDIO_CONSTANTS.MODAL_TAIL_TIME_CONSTANTS * AUDIO_CONSTANTS.MODAL_RELEASE);
+        return this;
+    }
+
+    dispose() {
+        this.sources.forEach(source => source.dispose());
+        this.sources = [];
+        this.partials.forEach(partial => partial.gain.dispose());
+        this.partials = [];
+        this.output.dispose();
+        return this;
+    }
+}
+
+/**
+ * Sample playback voice: each note starts a one-shot source from the nearest sample zone,
+ * repitched by playback rate to the exact frequency
+ */
+class SamplerSynth {
+    /**
+     * Create sampler voice
+     *
+     * @param {object} sampleSet - From createSampleSet
+     */
+    constructor(sampleSet) {
+        this.sampleSet = sampleSet;
+        this.output = new Tone.Gain(AUDIO_CONSTANTS.SAMPLER_GAIN);
+        this.sources = []; // Sources still playing
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    disconnect() {
+        this.output.disconnect();
+        return this;
+    }
+
+    /**
+     * Play the nearest sample repitched to the frequency
+     * @param {number} frequency - Fundamental in Hz
+     * @param {number} duration - Seconds before the note is released
+     * @param {number} time - Context time (optional, defaults to now)
+     * @param {number} velocity - 0 to 1 (optional)
+     */
+    triggerAttackRelease(frequency, duration, time, velocity) {
+        time = time === undefined ? Tone.now() : time;
+        velocity = velocity === undefined ? 1 : velocity;
+
+        const sample = selectSample(this.sampleSet, frequency, velocity);
+        if (!sample) return this;
+
+        // A retriggered or stolen voice fades out the last note rather than stacking on it
+        this.releaseAll(time);
+
+        const source = new Tone.ToneBufferSource({
+            url: sample.buffer,
+            playbackRate: frequency / sample.frequency,
+            fadeIn: AUDIO_CONSTANTS.SAMPLER_FADE_IN,
+            fadeOut: AUDIO_CONSTANTS.SAMPLER_RELEASE
+        }).connect(this.output);
+
+        // Tone disposes ended sources itself
+        source.onended = () => {
+            this.sources = this.sources.filter(s => s !== source);
+        };
+        this.sources.push(source);
+
+        source.start(time, 0, undefined, velocity);
+        source.releaseTime = time + duration;
+        source.stop(source.releaseTime);
+        return this;
+    }
+
+    /**
+     * Release every playing sample
+     * @param {number} time - Context time (optional, defaults to now)
+     */
+    releaseAll(time) {
+        time = time === undefined ? Tone.now() : time;
+        // Sources already released earlier keep their own stop
+        this.sources.forEach(source => {
+            if (source.releaseTime > time) {
+                source.releaseTime = time;
+                source.stop(time);
+            }
+        });
+        return this;
+    }
+
+    dispose() {
+        this.sources.forEach(source => source.dispose());
+        this.sources = [];
+        this.output.dispose();
+        return this;
+    }
+}
+
+/**
+ * Group mapped samples into zones of one note and velocity layer
+ * Samples sharing a zone are its round-robin alternatives, in roundRobin order.
+ *
+ * @param {string} name - Sample set name
+ * @param {Array<object>} samples - [{buffer, midi, frequency, velocity: [min, max], roundRobin}]
+ * @returns {object} - {name, zones: [{midi, velocityMin, velocityMax, samples, nextRoundRobin}]}
+ */
+function createSampleSet(name, samples) {
+    const zones = {};
+    samples.forEach(sample => {
+        const key = [sample.midi, sample.velocity[0], sample.velocity[1]].join('|');
+        if (!zones[key]) {
+            zones[key] = {
+                midi: sample.midi,
+                velocityMin: sample.velocity[0],
+                velocityMax: sample.velocity[1],
+                samples: [],
+                nextRoundRobin: 0
+            };
+        }
+        zones[key].samples.push(sample);
+    });
+
+    const zoneList = Object.keys(zones).map(key => zones[key]);
+    zoneList.forEach(zone => zone.samples.sort((a, b) => a.roundRobin - b.roundRobin));
+    return { name: name, zones: zoneList };
+}
+
+/**
+ * Pick the sample for a note: the nearest mapped note, then the velocity layer containing
+ * the velocity (or the closest layer), then the next round-robin alternative
+ *
+ * @param {object} sampleSet - From createSampleSet
+ * @param {number} frequency - Note frequency in Hz
+ * @param {number} velocity - 0 to 1
+ * @returns {object|null} - {buffer, midi, frequency, velocity, roundRobin}
+ */
+function selectSample(sampleSet, frequency, velocity) {
+    if (!sampleSet || sampleSet.zones.length === 0) return null;
+
+    const midi = frequencyToMidi(frequency);
+    let nearestMidi = sampleSet.zones[0].midi;
+    sampleSet.zones.forEach(zone => {
+        if (Math.abs(zone.midi - midi) < Math.abs(nearestMidi - midi)) nearestMidi = zone.midi;
+    });
+
+    const layers = sampleSet.zones.filter(zone => zone.midi === nearestMidi);
+    const layerDistance = zone => Math.max(zone.velocityMin - velocity, velocity - zone.velocityMax, 0);
+    const zone = layers.reduce((best, layer) => layerDistance(layer) < layerDistance(best) ? layer : best);
+
+    const sample = zone.samples[zone.nextRoundRobin % zone.samples.length];
+    zone.nextRoundRobin++;
+    return sample;
+}
+
+/**
+ * Ordered, reconfigurable chain of effect modules between the voices and the master volume
+ * Modules are plain data ({id, type, bypass, params}) so the rack can be saved as a preset;
+ * the Tone nodes for each module exist only once the rack is built.
+ */
+class EffectsRack {
+    /**
+     * Create effects rack
+     *
+     * @param {function} buildEffect - Builds one module's nodes: module => Promise<{input, output, node, nodes}>
+     * @param {Array<object>} modules - Initial modules [{type, bypass?, params?}] (optional)
+     */
+    constructor(buildEffect, modules) {
+        this.buildEffect = buildEffect;
+        this.modules = [];
+        this.effects = {}; // Built effects by module id
+        this.input = null;
+        this.output = null;
+        this.built = false;
+        this.nextId = 1;
+        this.setModuleList(modules || []);
+    }
+
+    /**
+     * Create a module with defaults for any params not given
+     * @param {string} type - Key of EFFECT_TYPES
+     * @param {object} params - Param overrides (optional)
+     * @param {boolean} bypass - Start bypassed (optional)
+     * @returns {object|null} - Module, or null for an unknown type
+     */
+    createModule(type, params, bypass) {
+        const definition = EFFECT_TYPES[type];
+        if (!definition) {
+            console.error("❌ Unknown effect type:", type);
+            return null;
+        }
+
+        const defaults = {};
+        Object.keys(definition.params).forEach(key => {
+            defaults[key] = definition.params[key].default;
+        });
+
+        return { id: this.nextId++, type: type, bypass: !!bypass, params: Object.assign(defaults, params) };
+    }
+
+    // Replace the module data, giving each module a fresh id
+    setModuleList(modules) {
+        this.modules = modules
+            .map(m => this.createModule(m.type, m.params, m.bypass))
+            .filter(m => m !== null);
+    }
+
+    /**
+     * Build every module's nodes in the current Tone context and wire the chain
+     * @returns {Promise<void>}
+     */
+    async build() {
+        this.input = new Tone.Gain(1);
+        this.output = new Tone.Gain(1);
+        for (const module of this.modules) {
+            this.effects[module.id] = await this.buildEffect(module);
+        }
+        this.built = true;
+        this.connect();
+    }
+
+    /**
+     * Re-wire input → modules in order → output, skipping bypassed and unbuilt modules
+     */
+    connect() {
+        if (!this.built) return;
+
+        this.input.disconnect();
+        Object.keys(this.effects).forEach(id => this.effects[id].output.disconnect());
+
+        let previous = this.input;
+        this.modules.forEach(module => {
+            const effect = this.effects[module.id];
+            if (module.bypass || !effect) return;
+            previous.connect(effect.input);
+            previous = effect.output;
+        });
+        previous.connect(this.output);
+    }
+
+    /**
+     * Add a module; in a built rack it joins the chain once its nodes are ready
+     * A module whose nodes fail to build is taken out of the rack again.
+     * @param {string} type - Key of EFFECT_TYPES
+     * @param {object} params - Param overrides (optional)
+     * @param {number} index - Position in the chain (optional, defaults to the end)
+     * @returns {Promise<object|null>} - Module, or null for an unknown type or a failed build
+     */
+    async add(type, params, index) {
+        const module = this.createModule(type, params);
+        if (!module) return null;
+
+        index = index === undefined ? this.modules.length : clamp(index, 0, this.modules.length);
+        this.modules.splice(index, 0, module);
+
+        if (this.built) {
+            let effect;
+            try {
+                effect = await this.buildEffect(module);
+            } catch (error) {
+                console.error(`❌ Failed to build ${type} effect:`, error);
+                this.modules = this.modules.filter(m => m !== module);
+                return null;
+            }
+
+            // Removed while building
+            if (!this.modules.includes(module)) {
+                this.disposeEffect(effect);
+                return null;
+            }
+            this.effects[module.id] = effect;
+            this.connect();
+        }
+        return module;
+    }
+
+    /**
+     * Remove a module and dispose its nodes
+     * @param {number} id - Module id
+     * @returns {boolean} - Whether the module existed
+     */
+    remove(id) {
+        const index = this.modules.findIndex(m => m.id === id);
+        if (index === -1) return false;
+
+        this.modules.splice(index, 1);
+        if (this.effects[id]) {
+            this.effects[id].output.disconnect();
+            this.disposeEffect(this.effects[id]);
+            delete this.effects[id];
+        }
+        this.connect();
+        return true;
+    }
+
+    /**
+     * Move a module to a new position in the chain
+     * @param {number} id - Module id
+     * @param {number} index - New position
+     */
+    move(id, index) {
+        const from = this.modules.findIndex(m => m.id === id);
+        if (from === -1) return;
+
+        const module = this.modules.splice(from, 1)[0];
+        this.modules.splice(clamp(index, 0, this.modules.length), 0, module);
+        this.connect();
+    }
+
+    setBypass(id, bypass) {
+        const module = this.getModule(id);
+        if (!module) return;
+        module.bypass = bypass;
+        this.connect();
+    }
+
+    /**
+     * Change module params, updating its nodes if built
+     * Params that are Tone signals are set through .value; others are plain properties.
+     * @param {number} id - Module id
+     * @param {object} params - Params to change
+     * @returns {object|null} - Module
+     */
+    setParams(id, params) {
+        const module = this.getModule(id);
+        if (!module) return null;
+
+        Object.assign(module.params, params);
+        const effect = this.effects[id];
+        if (effect) {
+            Object.keys(params).forEach(key => {
+                const target = effect.node[key];
+                if (target !== null && typeof target === 'object' && 'value' in target) {
+                    target.value = params[key];
+                } else {
+                    effect.node[key] = params[key];
+                }
+            });
+        }
+        return module;
+    }
+
+    /**
+     * Replace every module (for presets)
+     * @param {Array<object>} modules - [{type, bypass?, params?}]
+     * @returns {Promise<void>}
+     */
+    async setModules(modules) {
+        Object.keys(this.effects).forEach(id => this.disposeEffect(this.effects[id]));
+        this.effects = {};
+        this.setModuleList(modules);
+
+        if (this.built) {
+            // Pass the signal through dry while the new modules build
+            this.connect();
+            for (const module of this.modules) {
+                this.effects[module.id] = await this.buildEffect(module);
+            }
+            this.connect();
+        }
+    }
+
+    getModule(id) {
+        return this.modules.find(m => m.id === id) || null;
+    }
+
+    /**
+     * First module of a type
+     * @param {string} type - Key of EFFECT_TYPES
+     * @returns {object|null} - Module
+     */
+    findModule(type) {
+        return this.modules.find(m => m.type === type) || null;
+    }
+
+    /**
+     * Get the modules as plain data for saving
+     * @returns {Array<object>} - [{type, bypass, params}]
+     */
+    getModules() {
+        return this.modules.map(m => ({ type: m.type, bypass: m.bypass, params: Object.assign({}, m.params) }));
+    }
+
+    disposeEffect(effect) {
+        effect.nodes.forEach(node => node.dispose());
+    }
+
+    dispose() {
+        Object.keys(this.effects).forEach(id => this.disposeEffect(this.effects[id]));
+        this.effects = {};
+        if (this.input) this.input.dispose();
+        if (this.output) this.output.dispose();
+        this.input = null;
+        this.output = null;
+        this.built = false;
+    }
+}
+
 class HarpAudioEngine {
     constructor() {
         this.initialized = false;
-        this.synths = [];
+        this.voicePool = null; // Shared synth voices, assigned to strings as they sound
+        this.polyphony = AUDIO_CONSTANTS.DEFAULT_POLYPHONY;
+        this.stealMode = AUDIO_CONSTANTS.DEFAULT_STEAL_MODE;
+
+        // Sympathetic resonance between strings
+        this.strings = []; // Strings that can ring sympathetically
+        this.sympatheticAmount = AUDIO_CONSTANTS.DEFAULT_SYMPATHETIC_AMOUNT;
+
+        // Stereo image from string positions on the wall
+        this.spatial = {
+            width: AUDIO_CONSTANTS.DEFAULT_STEREO_WIDTH,
+            listenerEnabled: false,  // Distance attenuation and delay from a listener position
+            listenerPosition: 0.5,   // Fraction across the wall (0.5 = centre)
+            listenerDistanceMm: AUDIO_CONSTANTS.DEFAULT_LISTENER_DISTANCE
+        };
         this.masterVolume = null;
-        this.reverb = null;
-        this.delay = null;
-        this.chorus = null;
-        this.filter = null;
+        // Effects between the voices and the master volume, built in initialize()
+        this.effectsRack = new EffectsRack(module => this.buildEffect(module),
+            DEFAULT_EFFECTS_RACK.map(type => ({ type: type })));
+        this.voiceBus = null; // Dry sum of the voices, feeding the effects rack
+        this.tunerAnalyser = null; // Voice bus waveform for the tuner, before effects colour the pitch
+        this.analyser = null; // Master bus waveform for the scope
+        this.fft = null; // Master bus spectrum for the scope panel
+        this.convolutionStage = null; // Convolution reverb after the rack, independent of reverb modules
+        this.impulseResponse = null; // {name, buffer} of the loaded IR file
+        this.impulseResponseVersion = 0; // Bumped on every load so the convolver re-reads a file with the same name
+        this.sampleSets = {}; // Loaded sample sets by name, played by engine type 'sampler:<name>'
+
+        // Convolution reverb settings (saved in project files, the IR itself is referenced by name)
+        this.convolution = {
+            enabled: false,
+            mode: 'blend',           // 'blend' with or 'replace' the algorithmic reverb
+            wet: AUDIO_CONSTANTS.DEFAULT_CONVOLUTION_WET,
+            preDelay: AUDIO_CONSTANTS.DEFAULT_CONVOLUTION_PREDELAY,
+            trimStart: 0,            // seconds cut from the start of the IR
+            trimLength: 0,           // seconds kept after the trim start (0 = to the end)
+            irName: null             // File name of the IR
+        };
+        this.lastPluck = null; // {stringIndex, segmentName, frequency} of the note the tuner measures
+        this.pitchReading = null; // Latest tuner reading for the last pluck
         this.context = null;
         this.engineType = 'karplus'; // Current synthesis engine
+        this.recording = null; // {startTime, events} while a performance is being recorded
+        this.lastRecording = []; // Note events of the last finished recording
 
         // Audio parameters (adjustable)
         this.params = {
             attackNoise: 1.5,
             dampening: 4000,
             resonance: 0.97,
-            reverbDecay: 2.5,
-            reverbWet: 0.4,
-            delayTime: 0.15,
-            delayWet: 0.15,
-            chorusWet: 0.2,
             masterVolume: -6
         };
 
@@ -44,9 +722,7 @@ class HarpAudioEngine {
         };
     }
 
-    async initialize(numStrings) {
-        numStrings = numStrings || 72;
-
+    async initialize() {
         if (this.initialized) {
             console.log("Audio already initialized");
             return;
@@ -59,43 +735,28 @@ class HarpAudioEngine {
             console.log("✓ Tone.js context started");
 
             // Create effects chain for rich harp sound
-            this.masterVolume = new Tone.Volume(this.params.masterVolume).toDestination();
-
-            // Reverb for spacious sound
-            this.reverb = new Tone.Reverb({
-                decay: this.params.reverbDecay,
-                wet: this.params.reverbWet,
-                preDelay: 0.01
-            }).connect(this.masterVolume);
-
-            await this.reverb.generate();
-            console.log("✓ Reverb created (decay: " + this.params.reverbDecay + "s)");
-
-            // Delay for shimmer
-            this.delay = new Tone.FeedbackDelay({
-                delayTime: this.params.delayTime,
-                feedback: 0.3,
-                wet: this.params.delayWet
-            }).connect(this.reverb);
-            console.log("✓ Delay created");
-
-            // Subtle chorus for richness
-            this.chorus = new Tone.Chorus({
-                frequency: 1.5,
-                delayTime: 3.5,
-                depth: 0.5,
-                wet: this.params.chorusWet
-            }).connect(this.delay);
-            this.chorus.start();
-            console.log("✓ Chorus created");
-
-            // Create pluck synths
-            this.synths = [];
-            for (let i = 0; i < numStrings; i++) {
-                const synth = this.createHarpSynth();
-                this.synths.push(synth);
-            }
-            console.log("✓ Created " + numStrings + " harp synths");
+            const chain = await this.createEffectsChain(this.effectsRack);
+            this.masterVolume = chain.masterVolume;
+            this.convolutionStage = chain.convolution;
+            console.log("✓ Effects chain created (" +
+                this.effectsRack.modules.map(m => m.type).join(' → ') + ")");
+
+            // Voices meet on a dry bus, which the tuner taps so chorus, delay and reverb
+            // don't shift the pitch it measures
+            this.voiceBus = new Tone.Gain(1);
+            this.voiceBus.connect(this.effectsRack.input);
+            this.tunerAnalyser = new Tone.Analyser('waveform', AUDIO_CONSTANTS.TUNER_BUFFER_SIZE);
+            this.voiceBus.connect(this.tunerAnalyser);
+
+            // Tap the master bus for the spectrum / scope panel
+            this.analyser = new Tone.Analyser('waveform', AUDIO_CONSTANTS.TUNER_BUFFER_SIZE);
+            this.masterVolume.connect(this.analyser);
+            this.fft = new Tone.FFT(AUDIO_CONSTANTS.SPECTRUM_SIZE);
+            this.masterVolume.connect(this.fft);
+
+            // Create the voice pool - its size is the polyphony, not the string count
+            this.voicePool = this.createVoicePool();
+            console.log("✓ Created " + this.polyphony + " harp voices");
 
             this.initialized = true;
             this.updateStatusIndicator(true);
@@ -115,18 +776,312 @@ class HarpAudioEngine {
         }
     }
 
-    createHarpSynth() {
+    /**
+     * Create the effects chain in the current Tone context
+     * Used for live playback and, inside Tone.Offline, for rendering.
+     * @param {EffectsRack} rack - Rack to build and route into the master volume
+     * @returns {Promise<object>} - {masterVolume, input, convolution}
+     */
+    async createEffectsChain(rack) {
+        const masterVolume = new Tone.Volume(this.params.masterVolume).toDestination();
+
+        await rack.build();
+        const convolution = this.createConvolutionStage();
+        rack.output.connect(convolution.input);
+        convolution.output.connect(masterVolume);
+        this.applyConvolution(rack, convolution);
+
+        return { masterVolume: masterVolume, input: rack.input, convolution: convolution };
+    }
+
+    /**
+     * Create the convolution reverb stage that follows the rack
+     * It sits outside the rack so editing, bypassing or duplicating reverb modules
+     * never changes how many convolvers run; the crossfade sets its wet level.
+     * @returns {object} - {input, output, convolver, preDelay, mix, nodes}
+     */
+    createConvolutionStage() {
+        const input = new Tone.Gain(1);
+        const mix = new Tone.CrossFade(0);
+        const convolver = new Tone.Convolver().connect(mix.b);
+        const preDelay = new Tone.Delay(this.convolution.preDelay, AUDIO_CONSTANTS.MAX_CONVOLUTION_PREDELAY)
+            .connect(convolver);
+
+        input.connect(mix.a);
+        input.connect(preDelay);
+
+        return {
+            input: input,
+            output: mix,
+            convolver: convolver,
+            preDelay: preDelay,
+            mix: mix,
+            nodes: [input, preDelay, convolver, mix]
+        };
+    }
+
+    /**
+     * Build the Tone nodes for one effects rack module
+     * @param {object} module - {type, params}
+     * @returns {Promise<object>} - {input, output, node, nodes}; node takes the module params
+     */
+    async buildEffect(module) {
+        const p = module.params;
+        let node;
+
+        switch (module.type) {
+            case 'filter':
+                node = new Tone.Filter({ type: p.type, frequency: p.frequency, Q: p.Q });
+                break;
+
+            case 'eq':
+                node = new Tone.EQ3({
+                    low: p.low,
+                    mid: p.mid,
+                    high: p.high,
+                    lowFrequency: p.lowFrequency,
+                    highFrequency: p.highFrequency
+                });
+                break;
+
+            case 'compressor':
+                node = new Tone.Compressor({
+                    threshold: p.threshold,
+                    ratio: p.ratio,
+                    attack: p.attack,
+                    release: p.release,
+                    knee: p.knee
+                });
+                break;
+
+            case 'limiter':
+                node = new Tone.Limiter(p.threshold);
+                break;
+
+            case 'chorus':
+                node = new Tone.Chorus({
+                    frequency: p.frequency,
+                    delayTime: p.delayTime,
+                    depth: p.depth,
+                    wet: p.wet
+                });
+                node.start();
+                break;
+
+            case 'delay':
+                node = new Tone.FeedbackDelay({ delayTime: p.delayTime, feedback: p.feedback, wet: p.wet });
+                break;
+
+            case 'reverb':
+                // Silenced while the convolution reverb replaces it
+                node = new Tone.Reverb({ decay: p.decay, wet: this.getReverbWet(module), preDelay: p.preDelay });
+                await node.generate();
+                break;
+
+            default:
+                throw new Error("Unknown effect type: " + module.type);
+        }
+
+        return { input: node, output: node, node: node, nodes: [node] };
+    }
+
+    /**
+     * Load a local WAV (or any decodable audio file) as the convolution impulse response
+     * @param {File} file - Impulse response file
+     * @returns {Promise<boolean>} - Success status
+     */
+    async loadImpulseResponse(file) {
+        try {
+            const buffer = await Tone.context.decodeAudioData(await file.arrayBuffer());
+            this.impulseResponse = { name: file.name, buffer: buffer };
+            this.impulseResponseVersion++;
+            this.convolution.irName = file.name;
+            this.convolution.enabled = true;
+            this.applyConvolution();
+
+            console.log(`✓ Impulse response loaded: ${file.name} (${buffer.duration.toFixed(2)}s, ${buffer.numberOfChannels} ch)`);
+            return true;
+        } catch (error) {
+            console.error("❌ Failed to load impulse response:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a sample set from a folder of WAV files and its JSON mapping
+     * The mapping is {name?, samples: [{file, note (MIDI number or name), frequency?, velocity?: [min, max], roundRobin?}]};
+     * frequency overrides the note's pitch for samples that aren't exactly in tune.
+     * @param {Array<File>|FileList} files - Folder contents, including one .json mapping
+     * @returns {Promise<string|null>} - Engine type for the set ('sampler:<name>'), or null on failure
+     */
+    async loadSampleSet(files) {
+        files = Array.from(files);
+        const mappingFile = files.find(f => f.name.toLowerCase().endsWith('.json'));
+        if (!mappingFile) {
+            console.error("❌ Sample folder has no .json mapping");
+            return null;
+        }
+
+        try {
+            const mapping = JSON.parse(await mappingFile.text());
+            if (!Array.isArray(mapping.samples) || mapping.samples.length === 0) {
+                console.error("❌ Sample mapping has no samples");
+                return null;
+            }
+
+            // Mapped paths are relative to the folder
+            const byPath = {};
+            files.forEach(f => {
+                byPath[f.name] = f;
+                if (f.webkitRelativePath) byPath[f.webkitRelativePath.split('/').slice(1).join('/')] = f;
+            });
+
+            const samples = [];
+            for (const entry of mapping.samples) {
+                const file = byPath[entry.file];
+                const midi = typeof entry.note === 'number' ? entry.note : noteNameToMidi(entry.note);
+                if (!file) {
+                    console.error("❌ Mapped sample not in folder:", entry.file);
+                    return null;
+                }
+                if (midi === null || midi === undefined || isNaN(midi)) {
+                    console.error(`❌ Invalid note for ${entry.file}:`, entry.note);
+                    return null;
+                }
+
+                samples.push({
+                    buffer: await Tone.context.decodeAudioData(await file.arrayBuffer()),
+                    midi: midi,
+                    frequency: entry.frequency || midiToFrequency(midi),
+                    velocity: entry.velocity || [0, 1],
+                    roundRobin: entry.roundRobin || 0
+                });
+            }
+
+            const folderName = mappingFile.webkitRelativePath ? mappingFile.webkitRelativePath.split('/')[0] : '';
+            const name = mapping.name || folderName || mappingFile.name.replace(/\.json$/i, '');
+            const sampleSet = createSampleSet(name, samples);
+            this.sampleSets[name] = sampleSet;
+
+            console.log(`✓ Sample set loaded: ${name} (${samples.length} samples, ${sampleSet.zones.length} zones)`);
+            return 'sampler:' + name;
+        } catch (error) {
+            console.error("❌ Failed to load sample set:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the loaded sample set for a sampler engine type
+     * @param {string} engineType - 'sampler:<name>'
+     * @returns {object|null} - Sample set, or null for other engines and sets not loaded
+     */
+    getSampleSet(engineType) {
+        if (!engineType.startsWith('sampler:')) return null;
+        return this.sampleSets[engineType.slice('sampler:'.length)] || null;
+    }
+
+    /**
+     * Check whether the IR named in the convolution settings is loaded
+     * Project files only reference the IR by name, so it must be loaded again after opening one.
+     * @returns {boolean}
+     */
+    isImpulseResponseLoaded() {
+        return this.impulseResponse !== null && this.impulseResponse.name === this.convolution.irName;
+    }
+
+    /**
+     * Update convolution reverb settings
+     * @param {object} settings - Any of {enabled, mode, wet, preDelay, trimStart, trimLength, irName}
+     */
+    setConvolution(settings) {
+        Object.assign(this.convolution, settings);
+        this.convolution.wet = clamp(this.convolution.wet, 0, 1);
+        this.convolution.preDelay = clamp(this.convolution.preDelay, 0, AUDIO_CONSTANTS.MAX_CONVOLUTION_PREDELAY);
+        this.convolution.trimStart = Math.max(0, this.convolution.trimStart);
+        this.convolution.trimLength = Math.max(0, this.convolution.trimLength);
+
+        this.applyConvolution();
+        console.log('Convolution reverb updated:', this.convolution);
+    }
+
+    /**
+     * Get the convolution settings for saving
+     * @returns {object} - Copy of the settings
+     */
+    getConvolutionSettings() {
+        return Object.assign({}, this.convolution);
+    }
+
+    /**
+     * Push convolution settings to the convolution stage and every reverb in a rack
+     * @param {EffectsRack} rack - Rack (optional, defaults to the live rack)
+     * @param {object} stage - From createConvolutionStage (optional, defaults to the live stage)
+     */
+    applyConvolution(rack, stage) {
+        rack = rack || this.effectsRack;
+        stage = stage || this.convolutionStage;
+        if (stage) this.applyConvolutionToStage(stage);
+
+        rack.modules.forEach(module => {
+            const effect = rack.effects[module.id];
+            if (module.type === 'reverb' && effect) {
+                effect.node.wet.value = this.getReverbWet(module);
+            }
+        });
+    }
+
+    /**
+     * Push convolution settings to a convolution stage
+     * @param {object} stage - From createConvolutionStage
+     */
+    applyConvolutionToStage(stage) {
+        const active = this.convolution.enabled && this.isImpulseResponseLoaded();
+        if (active) {
+            // Only re-load the convolver when the IR or its trim changed
+            const impulseKey = [this.impulseResponse.name, this.impulseResponseVersion,
+                this.convolution.trimStart, this.convolution.trimLength].join('|');
+            if (stage.convolver.impulseKey !== impulseKey) {
+                stage.convolver.buffer = trimImpulseResponse(this.impulseResponse.buffer,
+                    this.convolution.trimStart, this.convolution.trimLength);
+                stage.convolver.impulseKey = impulseKey;
+            }
+        }
+
+        stage.preDelay.delayTime.value = this.convolution.preDelay;
+        stage.mix.fade.value = active ? this.convolution.wet : 0;
+    }
+
+    /**
+     * Algorithmic reverb wet level, silenced when the convolution reverb replaces it
+     * @param {object} module - Reverb module
+     * @returns {number} - 0 to 1
+     */
+    getReverbWet(module) {
+        const replaced = this.convolution.enabled && this.convolution.mode === 'replace' && this.isImpulseResponseLoaded();
+        return replaced ? 0 : module.params.wet;
+    }
+
+    /**
+     * Create a synth for the current engine type
+     * @param {object} connectionPoint - Node to connect to (optional, defaults to the live chain)
+     * @returns {object} - Tone synth with its pluck comb
+     */
+    createHarpSynth(connectionPoint) {
         let synth;
-        const connectionPoint = this.filter || this.chorus;
+        connectionPoint = connectionPoint || this.voiceBus;
+
+        // A sampler engine whose set isn't loaded falls back to the default
+        const sampleSet = this.getSampleSet(this.engineType);
 
-        switch (this.engineType) {
+        switch (sampleSet ? 'sampler' : this.engineType) {
             case 'karplus':
                 // Karplus-Strong physical modeling (default)
                 synth = new Tone.PluckSynth({
                     attackNoise: this.params.attackNoise,
                     dampening: this.params.dampening,
                     resonance: this.params.resonance
-                }).connect(connectionPoint);
+                });
                 break;
 
             case 'piano':
@@ -139,7 +1094,7 @@ class HarpAudioEngine {
                         sustain: this.adsrParams.sustain,
                         release: this.adsrParams.release
                     }
-                }).connect(connectionPoint);
+                });
                 break;
 
             case 'sine':
@@ -152,7 +1107,7 @@ class HarpAudioEngine {
                         sustain: this.adsrParams.sustain,
                         release: this.adsrParams.release
                     }
-                }).connect(connectionPoint);
+                });
                 break;
 
             case 'saw':
@@ -165,7 +1120,7 @@ class HarpAudioEngine {
                         sustain: this.adsrParams.sustain,
                         release: this.adsrParams.release
                     }
-                }).connect(connectionPoint);
+                });
                 break;
 
             case 'square':
@@ -178,7 +1133,7 @@ class HarpAudioEngine {
                         sustain: this.adsrParams.sustain,
                         release: this.adsrParams.release
                     }
-                }).connect(connectionPoint);
+                });
                 break;
 
             case 'triangle':
@@ -191,7 +1146,17 @@ class HarpAudioEngine {
                         sustain: this.adsrParams.sustain,
                         release: this.adsrParams.release
                     }
-                }).connect(connectionPoint);
+                });
+                break;
+
+            case 'modal':
+                // Additive modes from the string's material, gauge and length
+                synth = new ModalSynth(AUDIO_CONSTANTS.MODAL_PARTIALS);
+                break;
+
+            case 'sampler':
+                // Loaded samples, nearest per note and repitched
+                synth = new SamplerSynth(sampleSet);
                 break;
 
             default:
@@ -200,12 +1165,160 @@ class HarpAudioEngine {
                     attackNoise: this.params.attackNoise,
                     dampening: this.params.dampening,
                     resonance: this.params.resonance
-                }).connect(connectionPoint);
+                });
         }
 
+        // Every engine sounds through a pluck-position comb filter, then is placed in the stereo image
+        synth.pluckComb = this.createPluckComb();
+        synth.spatialChain = this.createSpatialChain();
+        synth.connect(synth.pluckComb.input);
+        synth.pluckComb.output.connect(synth.spatialChain.delay);
+        synth.spatialChain.panner.connect(connectionPoint);
+
         return synth;
     }
 
+    /**
+     * Create a pluck-position comb filter: y(t) = x(t) - x(t - p/f)
+     * Plucking at fraction p of the length cannot excite harmonics with a node there,
+     * so the comb's notches fall on exactly those harmonics.
+     * @returns {object} - {input, delay, invert, output}
+     */
+    createPluckComb() {
+        const input = new Tone.Gain();
+        const delay = new Tone.Delay(0.001, AUDIO_CONSTANTS.PLUCK_COMB_MAX_DELAY);
+        const invert = new Tone.Gain(0); // -1 once a pluck position is set
+        const output = new Tone.Gain(1);
+
+        input.connect(output);
+        input.chain(delay, invert, output);
+
+        return { input, delay, invert, output };
+    }
+
+    /**
+     * Tune a synth's comb filter to a pluck position
+     * @param {object} synth - Synth from createHarpSynth
+     * @param {number} frequency - Note frequency in Hz
+     * @param {number} pluckPosition - Fraction of the vibrating length (0-1), or undefined to bypass the comb
+     * @param {number} time - Context time to apply at (optional, defaults to now)
+     */
+    setPluckPosition(synth, frequency, pluckPosition, time) {
+        const now = time === undefined ? Tone.now() : time;
+
+        // Plucks with no position (sequencer, keyboard, sympathetic) keep the engine's own spectrum
+        if (pluckPosition === undefined || pluckPosition === null) {
+            synth.pluckComb.invert.gain.setValueAtTime(0, now);
+            synth.pluckComb.output.gain.setValueAtTime(1, now);
+            return;
+        }
+
+        // The spectrum is symmetric about the middle: 0.2 and 0.8 sound alike
+        let p = Math.min(pluckPosition, 1 - pluckPosition);
+        p = Math.max(p, AUDIO_CONSTANTS.MIN_PLUCK_POSITION);
+
+        const delayTime = Math.min(p / frequency, AUDIO_CONSTANTS.PLUCK_COMB_MAX_DELAY);
+        synth.pluckComb.delay.delayTime.setValueAtTime(delayTime, now);
+
+        // Keep the fundamental near its level from a middle pluck (comb gain there is 2·sin(πp))
+        const gain = Math.min(1 / (2 * Math.sin(Math.PI * p)), AUDIO_CONSTANTS.PLUCK_COMB_MAX_GAIN);
+        synth.pluckComb.invert.gain.setValueAtTime(-1, now);
+        synth.pluckComb.output.gain.setValueAtTime(gain, now);
+    }
+
+    /**
+     * Create a voice's spatial chain: path delay, distance gain, stereo pan
+     * @returns {object} - {delay, gain, panner}
+     */
+    createSpatialChain() {
+        const delay = new Tone.Delay(0, AUDIO_CONSTANTS.MAX_SPATIAL_DELAY);
+        const gain = new Tone.Gain(1);
+        const panner = new Tone.Panner(0);
+
+        delay.chain(gain, panner);
+
+        return { delay, gain, panner };
+    }
+
+    /**
+     * Work out pan, gain and delay for a string position
+     * Without a listener the wall is spread across the stereo field. With one, the pan
+     * follows the angle to the string, and gain and delay follow the extra distance
+     * compared with the nearest point of the wall.
+     * @param {number} xPosMm - String position across the wall in mm (optional)
+     * @returns {object} - {pan, gain, delay}
+     */
+    getSpatialParams(xPosMm) {
+        if (xPosMm === undefined || xPosMm === null) {
+            return { pan: 0, gain: 1, delay: 0 };
+        }
+
+        const width = this.spatial.width;
+        const wallWidth = PHYSICS_CONSTANTS.WALL_WIDTH;
+
+        if (!this.spatial.listenerEnabled) {
+            const pan = (xPosMm / wallWidth * 2 - 1) * width;
+            return { pan: clamp(pan, -1, 1), gain: 1, delay: 0 };
+        }
+
+        const listenerX = this.spatial.listenerPosition * wallWidth;
+        const distance = Math.max(this.spatial.listenerDistanceMm, AUDIO_CONSTANTS.MIN_LISTENER_DISTANCE);
+        const dx = xPosMm - listenerX;
+        const pathLength = Math.sqrt(dx * dx + distance * distance);
+
+        return {
+            pan: clamp(Math.atan2(dx, distance) / (Math.PI / 2) * width, -1, 1),
+            gain: distance / pathLength,
+            delay: Math.min((pathLength - distance) / AUDIO_CONSTANTS.SPEED_OF_SOUND, AUDIO_CONSTANTS.MAX_SPATIAL_DELAY)
+        };
+    }
+
+    /**
+     * Place a synth in the stereo image
+     * @param {object} synth - Synth from createHarpSynth
+     * @param {number} xPosMm - String position across the wall in mm (optional)
+     * @param {number} time - Context time to apply at (optional, defaults to now)
+     */
+    setSpatialPosition(synth, xPosMm, time) {
+        const now = time === undefined ? Tone.now() : time;
+        const params = this.getSpatialParams(xPosMm);
+
+        // The voice gain also carries damping fades, so a new note clears any pending one
+        synth.spatialChain.gain.gain.cancelScheduledValues(now);
+        synth.spatialChain.panner.pan.setValueAtTime(params.pan, now);
+        synth.spatialChain.gain.gain.setValueAtTime(params.gain, now);
+        synth.spatialChain.delay.delayTime.setValueAtTime(params.delay, now);
+    }
+
+    /**
+     * Update stereo image settings
+     * @param {object} spatial - {width, listenerEnabled, listenerPosition, listenerDistanceMm}
+     */
+    setSpatial(spatial) {
+        Object.assign(this.spatial, spatial);
+        this.spatial.width = clamp(this.spatial.width, 0, AUDIO_CONSTANTS.MAX_STEREO_WIDTH);
+        console.log('Stereo image updated:', this.spatial);
+    }
+
+    /**
+     * Dispose a synth and its comb filter
+     * @param {object} synth - Synth from createHarpSynth
+     */
+    disposeSynth(synth) {
+        synth.dispose();
+        if (synth.pluckComb) {
+            synth.pluckComb.input.dispose();
+            synth.pluckComb.delay.dispose();
+            synth.pluckComb.invert.dispose();
+            synth.pluckComb.output.dispose();
+        }
+        if (synth.spatialChain) {
+            synth.spatialChain.delay.dispose();
+            synth.spatialChain.gain.dispose();
+            synth.spatialChain.panner.dispose();
+        }
+    }
+
     setEngineType(engineType) {
         console.log(`Switching audio engine to: ${engineType}`);
         this.engineType = engineType;
@@ -215,29 +1328,81 @@ class HarpAudioEngine {
             return;
         }
 
-        // Recreate all synths with new engine type
-        const numStrings = this.synths.length;
+        // Rebuild the voice pool with the new engine type
+        this.voicePool.dispose();
+        this.voicePool = this.createVoicePool();
 
-        // Dispose old synths
-        this.synths.forEach(synth => {
-            try {
-                synth.dispose();
-            } catch (e) {
-                console.warn('Error disposing synth:', e);
-            }
-        });
+        console.log(`✓ Recreated ${this.polyphony} voices with ${engineType} engine`);
+    }
+
+    /**
+     * Create a voice pool for the live chain
+     * @param {object} connectionPoint - Node to connect voices to (optional)
+     * @returns {VoicePool}
+     */
+    createVoicePool(connectionPoint) {
+        return new VoicePool(
+            () => this.createHarpSynth(connectionPoint),
+            synth => this.disposeSynth(synth),
+            this.polyphony,
+            this.stealMode
+        );
+    }
+
+    /**
+     * Set the number of voices that can sound at once
+     * @param {number} count - Polyphony limit
+     */
+    setPolyphony(count) {
+        this.polyphony = clamp(Math.round(count), 1, AUDIO_CONSTANTS.MAX_POLYPHONY);
+        if (this.voicePool) {
+            this.voicePool.resize(this.polyphony);
+        }
+        console.log(`✓ Polyphony: ${this.polyphony} voices`);
+    }
 
-        // Create new synths
-        this.synths = [];
-        for (let i = 0; i < numStrings; i++) {
-            const synth = this.createHarpSynth();
-            this.synths.push(synth);
+    /**
+     * Set which voice is stolen when all are busy
+     * @param {string} mode - 'oldest' or 'quietest'
+     */
+    setStealMode(mode) {
+        if (mode !== 'oldest' && mode !== 'quietest') {
+            console.error("❌ Invalid voice steal mode:", mode);
+            return;
+        }
+        this.stealMode = mode;
+        if (this.voicePool) {
+            this.voicePool.stealMode = mode;
         }
+    }
 
-        console.log(`✓ Recreated ${numStrings} synths with ${engineType} engine`);
+    /**
+     * Pluck a string
+     * @param {number} stringIndex - String index
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @param {number} pluckPosition - Fraction of the vibrating length plucked (optional)
+     * @param {number} xPosMm - String position across the wall in mm (optional)
+     */
+    pluckString(stringIndex, frequency, duration, velocity, pluckPosition, xPosMm) {
+        this.pluckSegment(stringIndex, 'middle', frequency, duration, velocity, pluckPosition, xPosMm);
     }
 
-    pluckString(stringIndex, frequency, duration, velocity) {
+    /**
+     * Pluck one segment of a string
+     * Each string segment takes a voice from the pool while it sounds, so the
+     * outer segments can ring together with the middle.
+     * @param {number} stringIndex - String index
+     * @param {string} segmentName - 'lower', 'middle' or 'upper'
+     * @param {number} frequency - Segment frequency in Hz
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @param {number} pluckPosition - Fraction of the segment length plucked (optional)
+     * @param {number} xPosMm - String position across the wall in mm (optional)
+     * @param {number} time - Context time to play at (optional, defaults to now)
+     */
+    pluckSegment(stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm, time) {
         duration = duration || 4.0; // Longer for harp
         velocity = velocity || 0.7;
 
@@ -246,7 +1411,7 @@ class HarpAudioEngine {
             return;
         }
 
-        if (stringIndex < 0 || stringIndex >= this.synths.length) {
+        if (stringIndex < 0) {
             console.error("❌ Invalid string index:", stringIndex);
             return;
         }
@@ -257,29 +1422,305 @@ class HarpAudioEngine {
         }
 
         try {
-            const now = Tone.now();
-            this.synths[stringIndex].triggerAttackRelease(
-                frequency,
-                duration,
-                now,
-                velocity
-            );
-
-            console.log("♪ String " + (stringIndex + 1) + ": " + frequency.toFixed(2) + " Hz");
+            const now = time === undefined ? Tone.now() : time;
+            this.triggerVoice(this.voicePool, stringIndex + ':' + segmentName, {
+                stringIndex: stringIndex,
+                segmentName: segmentName,
+                frequency: frequency,
+                duration: duration,
+                velocity: velocity,
+                pluckPosition: pluckPosition,
+                xPosMm: xPosMm
+            }, now);
+
+            const sympathetic = this.triggerSympathetic(this.voicePool, stringIndex, frequency, duration, velocity, now);
+
+            this.recordNote(stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm, now);
+
+            // Show the strings this pluck sets ringing, and point the tuner at it, when it is heard
+            Tone.Draw.schedule(() => {
+                sympathetic.forEach(note => this.strings[note.stringIndex].exciteSympathetic(note.level));
+                this.lastPluck = { stringIndex: stringIndex, segmentName: segmentName, frequency: frequency };
+                this.pitchReading = null;
+            }, now);
+            const label = segmentName === 'middle' ? '' : " (" + segmentName + ")";
+            console.log("♪ String " + (stringIndex + 1) + label + ": " + frequency.toFixed(2) + " Hz");
 
         } catch (error) {
             console.error("❌ Error playing string " + stringIndex + ":", error);
         }
     }
 
+    /**
+     * Start a note on a pooled voice: pluck position, stereo placement, modes, then trigger
+     * @param {VoicePool} voicePool - Pool to play on
+     * @param {string} key - Voice key ("string:segment")
+     * @param {object} note - {stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm}
+     * @param {number} time - Context time in seconds
+     * @returns {boolean} - False if no voice was free for a sympathetic note
+     */
+    triggerVoice(voicePool, key, note, time) {
+        // A string that is not let ring is damped after its damp time, whatever the engine
+        const string = this.strings[note.stringIndex];
+        const damped = string && !string.letRing;
+        const duration = damped ? Math.min(note.duration, string.dampAfter) : note.duration;
+
+        const synth = voicePool.allocate(key, time, damped ? duration + string.dampRelease : duration, note.velocity);
+        if (!synth) return false;
+
+        this.setPluckPosition(synth, note.frequency, note.pluckPosition, time);
+        this.setSpatialPosition(synth, note.xPosMm, time);
+        if (synth.setModes) {
+            synth.setModes(this.getModes(note.stringIndex, note.segmentName, note.frequency));
+        }
+        synth.triggerAttackRelease(note.frequency, duration, time, note.velocity);
+
+        if (damped) {
+            this.dampVoice(synth, time + duration, string.dampRelease);
+        }
+        return true;
+    }
+
+    /**
+     * Fade a voice to silence, as a hand stopping the string
+     * Works for every engine, including ones that ignore note duration (PluckSynth).
+     * @param {object} synth - Synth from createHarpSynth
+     * @param {number} time - Context time to start the fade
+     * @param {number} releaseTime - Fade-out in seconds
+     */
+    dampVoice(synth, time, releaseTime) {
+        const gain = synth.spatialChain.gain.gain;
+        gain.cancelScheduledValues(time);
+        // Four time constants brings the voice within 2% of silence by the end of the release
+        gain.setTargetAtTime(0, time, Math.max(releaseTime, 0.001) / 4);
+    }
+
+    /**
+     * Damp every voice a string is sounding, including its sympathetic ringing
+     * @param {number} stringIndex - String index
+     * @param {number} releaseTime - Fade-out in seconds (optional)
+     */
+    dampString(stringIndex, releaseTime) {
+        this.dampVoices(stringIndex + ':', releaseTime);
+    }
+
+    /**
+     * Damp every sounding voice
+     * @param {number} releaseTime - Fade-out in seconds (optional)
+     */
+    dampAll(releaseTime) {
+        this.dampVoices('', releaseTime);
+    }
+
+    dampVoices(keyPrefix, releaseTime) {
+        if (!this.initialized) return;
+        releaseTime = releaseTime === undefined ? AUDIO_CONSTANTS.DEFAULT_DAMP_RELEASE : releaseTime;
+
+        const now = Tone.now();
+        this.voicePool.findSounding(keyPrefix, now).forEach(voice => {
+            this.dampVoice(voice.synth, now, releaseTime);
+            voice.endTime = now + releaseTime;
+        });
+    }
+
+    /**
+     * Get the physical modes for a note on a string segment (modal engine)
+     * @param {number} stringIndex - String index
+     * @param {string} segmentName - 'lower', 'middle' or 'upper' (optional, defaults to middle)
+     * @param {number} frequency - Sounding frequency in Hz
+     * @returns {Array<object>|null} - Modes (see HarpString.getModes), or null if the string is unknown
+     */
+    getModes(stringIndex, segmentName, frequency) {
+        const string = this.strings[stringIndex];
+        if (!string) return null;
+
+        const segment = (string.segments || []).find(s => s.name === (segmentName || 'middle'));
+        return string.getModes(frequency, segment ? segment.lengthMm : string.playableLengthMm);
+    }
+
+    /**
+     * Set the strings that can ring sympathetically
+     * @param {Array<HarpString>} strings - All strings
+     */
+    setStrings(strings) {
+        this.strings = strings || [];
+    }
+
+    /**
+     * Set sympathetic resonance strength
+     * @param {number} amount - 0 (off) to 1
+     */
+    setSympatheticAmount(amount) {
+        this.sympatheticAmount = clamp(amount, 0, 1);
+        console.log(`✓ Sympathetic resonance: ${(this.sympatheticAmount * 100).toFixed(0)}%`);
+    }
+
+    /**
+     * Find the undamped string segments a note drives sympathetically
+     * @param {number} sourceIndex - Plucked string index (skipped)
+     * @param {number} frequency - Plucked frequency in Hz
+     * @param {number} velocity - Pluck velocity 0-1
+     * @returns {Array<object>} - Strongest first: [{stringIndex, segmentName, frequency, velocity, xPosMm, level}]
+     */
+    getSympatheticNotes(sourceIndex, frequency, velocity) {
+        if (this.sympatheticAmount <= 0) return [];
+
+        const notes = [];
+        this.strings.forEach(string => {
+            if (string.index === sourceIndex || !string.segments) return;
+
+            string.segments.forEach(segment => {
+                if (segment.damped) return;
+
+                const match = calculateSympatheticMatch(frequency, segment.frequency);
+                const level = match.strength * this.sympatheticAmount;
+                if (level < AUDIO_CONSTANTS.SYMPATHETIC_THRESHOLD || match.frequency > 20000) return;
+
+                notes.push({
+                    stringIndex: string.index,
+                    segmentName: segment.name,
+                    frequency: match.frequency,
+                    velocity: velocity * level,
+                    xPosMm: string.xPos,
+                    level: level
+                });
+            });
+        });
+
+        notes.sort((a, b) => b.level - a.level);
+        return notes.slice(0, AUDIO_CONSTANTS.SYMPATHETIC_MAX_STRINGS);
+    }
+
+    /**
+     * Play quiet sympathetic excitations for a pluck
+     * They take their own voices so a string already ringing is not re-plucked, and ring
+     * for as long as a decay from their level to the threshold takes, scaled to the pluck.
+     * @param {VoicePool} voicePool - Pool to play on
+     * @param {number} sourceIndex - Plucked string index
+     * @param {number} frequency - Plucked frequency in Hz
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Pluck velocity 0-1
+     * @param {number} time - Pluck time in seconds
+     * @returns {Array<object>} - Notes played (see getSympatheticNotes)
+     */
+    triggerSympathetic(voicePool, sourceIndex, frequency, duration, velocity, time) {
+        const notes = this.getSympatheticNotes(sourceIndex, frequency, velocity);
+        const start = time + AUDIO_CONSTANTS.SYMPATHETIC_ONSET;
+        const threshold = AUDIO_CONSTANTS.SYMPATHETIC_THRESHOLD;
+
+        return notes.filter(note => {
+            const key = note.stringIndex + ':' + note.segmentName + ':sympathetic';
+            const ringTime = duration * Math.log(note.level / threshold) / Math.log(1 / threshold);
+            return this.triggerVoice(voicePool, key, Object.assign({ duration: ringTime }, note), start);
+        });
+    }
+
+    /**
+     * Get every voice's synth
+     * @returns {Array} - Synth instances
+     */
+    getAllSynths() {
+        return this.voicePool ? this.voicePool.getSynths() : [];
+    }
+
+    /**
+     * Start recording played notes as a performance
+     */
+    startRecording() {
+        this.recording = { startTime: Tone.now(), events: [] };
+        console.log("● Recording performance");
+    }
+
+    /**
+     * Stop recording
+     * @returns {Array<object>} - Recorded note events
+     */
+    stopRecording() {
+        if (!this.recording) return this.lastRecording;
+
+        this.lastRecording = this.recording.events;
+        this.recording = null;
+        console.log(`✓ Recorded ${this.lastRecording.length} notes`);
+        return this.lastRecording;
+    }
+
+    /**
+     * Add a played note to the current recording
+     * @private
+     */
+    recordNote(stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm, time) {
+        if (!this.recording) return;
+
+        this.recording.events.push({
+            time: time - this.recording.startTime,
+            stringIndex: stringIndex,
+            segmentName: segmentName,
+            frequency: frequency,
+            duration: duration,
+            velocity: velocity,
+            pluckPosition: pluckPosition,
+            xPosMm: xPosMm
+        });
+    }
+
+    /**
+     * Render note events offline through the same synths and effects chain
+     * @param {Array<object>} events - [{time, stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm}]
+     * @param {object} options - {length: seconds (0 = up to the last note), tail: seconds after length}
+     * @returns {Promise<AudioBuffer|null>} - Rendered audio, or null on failure
+     */
+    async renderOffline(events, options) {
+        options = options || {};
+        const tail = options.tail !== undefined ? options.tail : AUDIO_CONSTANTS.RENDER_TAIL;
+
+        if (!events || events.length === 0) {
+            console.error("❌ Nothing to render");
+            return null;
+        }
+
+        const lastNoteTime = Math.max(...events.map(e => e.time));
+        const length = options.length > 0 ? options.length : lastNoteTime;
+        const renderLength = length + tail;
+        if (renderLength <= 0) {
+            console.error("❌ Render length must be positive");
+            return null;
+        }
+
+        try {
+            console.log(`Rendering ${events.length} notes offline (${length.toFixed(1)}s + ${tail.toFixed(1)}s tail)...`);
+
+            const buffer = await Tone.Offline(async () => {
+                // A copy of the live rack, built in the offline context
+                const rack = new EffectsRack(module => this.buildEffect(module), this.effectsRack.getModules());
+                const chain = await this.createEffectsChain(rack);
+
+                // Same polyphony and voice stealing as live playback
+                const voicePool = this.createVoicePool(chain.input);
+                events.slice().sort((a, b) => a.time - b.time).forEach(event => {
+                    if (event.time > length) return;
+
+                    const key = event.stringIndex + ':' + (event.segmentName || 'middle');
+                    this.triggerVoice(voicePool, key, event, event.time);
+                    this.triggerSympathetic(voicePool, event.stringIndex, event.frequency, event.duration,
+                        event.velocity, event.time);
+                });
+            }, renderLength);
+
+            console.log("✓ Offline render complete (" + renderLength.toFixed(1) + "s)");
+            return buffer.get();
+
+        } catch (error) {
+            console.error("❌ Offline render failed:", error);
+            return null;
+        }
+    }
+
     playTestChord() {
         console.log("Playing harp test chord (C major)...");
-        if (this.synths.length >= 3) {
-            // Play C-E-G chord
-            this.pluckString(0, 261.63, 3.0, 0.6); // C4
-            setTimeout(() => this.pluckString(1, 329.63, 3.0, 0.5), 50); // E4
-            setTimeout(() => this.pluckString(2, 392.00, 3.0, 0.5), 100); // G4
-        }
+        // Play C-E-G chord
+        this.pluckString(0, 261.63, 3.0, 0.6); // C4
+        setTimeout(() => this.pluckString(1, 329.63, 3.0, 0.5), 50); // E4
+        setTimeout(() => this.pluckString(2, 392.00, 3.0, 0.5), 100); // G4
     }
 
     async playSequence(stringIndices, frequencies, interval) {
@@ -302,35 +1743,32 @@ class HarpAudioEngine {
 
     stopAll() {
         if (!this.initialized) return;
-        this.synths.forEach(synth => {
+        this.getAllSynths().forEach(synth => {
             try {
                 synth.releaseAll();
             } catch (e) {}
         });
+        // PluckSynth has no release, so fade every voice out as well
+        this.dampAll(AUDIO_CONSTANTS.STOP_RELEASE);
     }
 
     // Update audio parameters dynamically
     updateParams(newParams) {
-        Object.assign(this.params, newParams);
+        // Effect params go to the first rack module of their type
+        Object.keys(newParams).forEach(key => {
+            const alias = EFFECT_PARAM_ALIASES[key];
+            if (!alias) {
+                this.params[key] = newParams[key];
+                return;
+            }
+            const module = this.effectsRack.findModule(alias.type);
+            if (module) {
+                this.setEffectParams(module.id, { [alias.param]: newParams[key] });
+            }
+        });
 
         if (!this.initialized) return;
 
-        // Update effects
-        if (this.reverb && newParams.reverbDecay !== undefined) {
-            this.reverb.decay = newParams.reverbDecay;
-        }
-        if (this.reverb && newParams.reverbWet !== undefined) {
-            this.reverb.wet.value = newParams.reverbWet;
-        }
-        if (this.delay && newParams.delayTime !== undefined) {
-            this.delay.delayTime.value = newParams.delayTime;
-        }
-        if (this.delay && newParams.delayWet !== undefined) {
-            this.delay.wet.value = newParams.delayWet;
-        }
-        if (this.chorus && newParams.chorusWet !== undefined) {
-            this.chorus.wet.value = newParams.chorusWet;
-        }
         if (this.masterVolume && newParams.masterVolume !== undefined) {
             this.masterVolume.volume.value = newParams.masterVolume;
         }
@@ -340,7 +1778,7 @@ class HarpAudioEngine {
             newParams.dampening !== undefined ||
             newParams.resonance !== undefined) {
 
-            this.synths.forEach(synth => {
+            this.getAllSynths().forEach(synth => {
                 if (newParams.attackNoise !== undefined) {
                     synth.attackNoise = newParams.attackNoise;
                 }
@@ -385,8 +1823,11 @@ class HarpAudioEngine {
             if (element) element.value = value;
         };
 
-        updateSlider('reverbDecay', this.params.reverbDecay);
-        updateSlider('reverbWet', this.params.reverbWet);
+        const reverb = this.effectsRack.findModule('reverb');
+        if (reverb) {
+            updateSlider('reverbDecay', reverb.params.decay);
+            updateSlider('reverbWet', reverb.params.wet);
+        }
         updateSlider('attackNoise', this.params.attackNoise);
         updateSlider('dampening', this.params.dampening);
         updateSlider('resonance', this.params.resonance);
@@ -416,7 +1857,7 @@ class HarpAudioEngine {
         }
 
         // Update existing synths that support envelope parameters
-        this.synths.forEach(synth => {
+        this.getAllSynths().forEach(synth => {
             if (synth.envelope) {
                 if (adsr.attack !== undefined) {
                     synth.envelope.attack = adsr.attack;
@@ -452,63 +1893,344 @@ class HarpAudioEngine {
             this.filterParams.Q = filterParams.Q;
         }
 
-        if (!this.initialized) {
-            return;
+        // The filter is the first rack module, added the first time it is set
+        const module = this.effectsRack.findModule('filter');
+        if (module) {
+            this.setEffectParams(module.id, filterParams);
+        } else {
+            this.effectsRack.add('filter', Object.assign({}, this.filterParams), 0).then(added => {
+                if (added) console.log('Filter added to the effects rack');
+            });
         }
 
-        // Create filter if it doesn't exist
-        if (!this.filter) {
-            this.filter = new Tone.Filter({
-                type: this.filterParams.type,
-                frequency: this.filterParams.frequency,
-                Q: this.filterParams.Q
-            });
+        console.log('Filter updated:', this.filterParams);
+    }
 
-            // Insert filter into audio chain (between synths and chorus)
-            this.synths.forEach(synth => {
-                synth.disconnect();
-                synth.connect(this.filter);
-            });
-            this.filter.connect(this.chorus);
-            console.log('Filter created and inserted into audio chain');
-        } else {
-            // Update existing filter parameters
-            if (filterParams.type !== undefined) {
-                this.filter.type = filterParams.type;
-            }
-            if (filterParams.frequency !== undefined) {
-                this.filter.frequency.value = filterParams.frequency;
-            }
-            if (filterParams.Q !== undefined) {
-                this.filter.Q.value = filterParams.Q;
-            }
+    /**
+     * Add a module to the effects rack
+     * @param {string} type - Key of EFFECT_TYPES
+     * @param {object} params - Param overrides (optional)
+     * @param {number} index - Position in the chain (optional, defaults to the end)
+     * @returns {Promise<object|null>} - Module, or null for an unknown type or a failed build
+     */
+    async addEffect(type, params, index) {
+        const module = await this.effectsRack.add(type, params, index);
+        if (module) console.log(`✓ Added ${EFFECT_TYPES[type].name} to the effects rack`);
+        return module;
+    }
+
+    removeEffect(id) {
+        return this.effectsRack.remove(id);
+    }
+
+    moveEffect(id, index) {
+        this.effectsRack.move(id, index);
+    }
+
+    setEffectBypass(id, bypass) {
+        this.effectsRack.setBypass(id, bypass);
+    }
+
+    /**
+     * Change the params of a rack module
+     * @param {number} id - Module id
+     * @param {object} params - Params to change
+     */
+    setEffectParams(id, params) {
+        const module = this.effectsRack.setParams(id, params);
+        if (!module) return;
+
+        // The reverb wet also depends on the convolution mode
+        if (module.type === 'reverb') this.applyConvolution();
+        // The filter section edits the first filter module
+        if (module === this.effectsRack.findModule('filter')) Object.assign(this.filterParams, params);
+    }
+
+    /**
+     * Get the effects rack modules as plain data
+     * @returns {Array<object>} - [{type, bypass, params}]
+     */
+    getEffectsRack() {
+        return this.effectsRack.getModules();
+    }
+
+    /**
+     * Get the sound settings and effects rack as a preset
+     * @returns {object} - {params, adsrParams, filterParams, effectsRack}
+     */
+    getAudioPreset() {
+        return {
+            params: Object.assign({}, this.params),
+            adsrParams: Object.assign({}, this.adsrParams),
+            filterParams: Object.assign({}, this.filterParams),
+            effectsRack: this.getEffectsRack()
+        };
+    }
+
+    /**
+     * Apply a preset from getAudioPreset
+     * @param {object} preset - {params, adsrParams, filterParams, effectsRack}
+     * @returns {Promise<void>}
+     */
+    async applyAudioPreset(preset) {
+        if (preset.effectsRack) {
+            await this.effectsRack.setModules(preset.effectsRack);
+            this.applyConvolution();
         }
+        if (preset.params) this.updateParams(preset.params);
+        if (preset.adsrParams) this.setADSR(preset.adsrParams);
+        if (preset.filterParams) Object.assign(this.filterParams, preset.filterParams);
 
-        console.log('Filter updated:', this.filterParams);
+        this.updateAudioParamsUI();
+    }
+
+    /**
+     * Measure the pitch of the dry voices and compare it with the last plucked note
+     * Keeps the last good reading while the output is too quiet or unpitched to measure.
+     * @returns {object|null} - {stringIndex, segmentName, expected, frequency, cents, clarity}, or null before a reading
+     */
+    measurePitch() {
+        if (!this.initialized || !this.tunerAnalyser || !this.lastPluck) return null;
+
+        const detected = detectPitch(this.tunerAnalyser.getValue(), Tone.context.sampleRate);
+        if (detected) {
+            const expected = this.lastPluck.frequency;
+            this.pitchReading = {
+                stringIndex: this.lastPluck.stringIndex,
+                segmentName: this.lastPluck.segmentName,
+                expected: expected,
+                frequency: detected.frequency,
+                cents: 1200 * Math.log2(detected.frequency / expected),
+                clarity: detected.clarity
+            };
+        }
+        return this.pitchReading;
+    }
+
+    /**
+     * Get the master bus spectrum and waveform for the scope panel
+     * @returns {object|null} - {spectrum (dB per bin, 0 to Nyquist), waveform, sampleRate}, or null if audio is off
+     */
+    getScopeData() {
+        if (!this.initialized || !this.fft) return null;
+        return {
+            spectrum: this.fft.getValue(),
+            waveform: this.analyser.getValue(),
+            sampleRate: Tone.context.sampleRate
+        };
     }
 
     dispose() {
         if (!this.initialized) return;
-        this.synths.forEach(synth => synth.dispose());
-        if (this.chorus) this.chorus.dispose();
-        if (this.delay) this.delay.dispose();
-        if (this.reverb) this.reverb.dispose();
+        this.voicePool.dispose();
+        this.voicePool = null;
+        this.effectsRack.dispose();
+        if (this.convolutionStage) this.convolutionStage.nodes.forEach(node => node.dispose());
         if (this.masterVolume) this.masterVolume.dispose();
+        if (this.voiceBus) this.voiceBus.dispose();
+        if (this.tunerAnalyser) this.tunerAnalyser.dispose();
+        if (this.analyser) this.analyser.dispose();
+        if (this.fft) this.fft.dispose();
+        this.convolutionStage = null;
+        this.voiceBus = null;
+        this.tunerAnalyser = null;
+        this.analyser = null;
+        this.fft = null;
         this.initialized = false;
         this.updateStatusIndicator(false);
     }
 }
 
-let audioEngine = null;
+/**
+ * Detect the fundamental of a block of samples with the YIN algorithm
+ * (de Cheveigné & Kawahara, 2002): cumulative mean normalized difference,
+ * absolute threshold, then parabolic interpolation of the dip.
+ *
+ * @param {Float32Array} samples - Waveform block
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options - {minFrequency, maxFrequency, threshold, minRms} (optional)
+ * @returns {object|null} - {frequency, clarity}, or null if silent or unpitched
+ */
+function detectPitch(samples, sampleRate, options) {
+    options = options || {};
+    const minFrequency = options.minFrequency || AUDIO_CONSTANTS.TUNER_MIN_FREQUENCY;
+    const maxFrequency = options.maxFrequency || AUDIO_CONSTANTS.TUNER_MAX_FREQUENCY;
+    const threshold = options.threshold || AUDIO_CONSTANTS.TUNER_THRESHOLD;
+    const minRms = options.minRms !== undefined ? options.minRms : AUDIO_CONSTANTS.TUNER_MIN_RMS;
+
+    let energy = 0;
+    for (let i = 0; i < samples.length; i++) {
+        energy += samples[i] * samples[i];
+    }
+    if (Math.sqrt(energy / samples.length) < minRms) return null;
+
+    const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(samples.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    const windowSize = samples.length - maxLag;
+
+    // Cumulative mean normalized difference d'(τ)
+    const difference = new Float32Array(maxLag + 1);
+    difference[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i < windowSize; i++) {
+            const delta = samples[i] - samples[i + lag];
+            sum += delta * delta;
+        }
+        runningSum += sum;
+        difference[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+    }
 
-async function initAudio(numStrings) {
-    numStrings = numStrings || 72;
+    // First dip below the threshold, followed down to its minimum
+    let lag = -1;
+    for (let t = minLag; t <= maxLag; t++) {
+        if (difference[t] < threshold) {
+            while (t + 1 <= maxLag && difference[t + 1] < difference[t]) t++;
+            lag = t;
+            break;
+        }
+    }
+    if (lag === -1) return null;
+
+    // Parabolic interpolation for sub-sample accuracy
+    let refinedLag = lag;
+    if (lag > 1 && lag < maxLag) {
+        const a = difference[lag - 1];
+        const b = difference[lag];
+        const c = difference[lag + 1];
+        const denominator = a - 2 * b + c;
+        if (denominator !== 0) {
+            refinedLag += (a - c) / (2 * denominator);
+        }
+    }
+
+    return { frequency: sampleRate / refinedLag, clarity: 1 - difference[lag] };
+}
+
+/**
+ * Cut an impulse response down to a window, with short fades so the cuts do not click
+ *
+ * @param {AudioBuffer} buffer - Full impulse response
+ * @param {number} trimStart - Seconds to cut from the start
+ * @param {number} trimLength - Seconds to keep (0 = to the end)
+ * @returns {AudioBuffer} - Trimmed copy (or the original if nothing is cut)
+ */
+function trimImpulseResponse(buffer, trimStart, trimLength) {
+    const sampleRate = buffer.sampleRate;
+    const start = Math.min(Math.round(trimStart * sampleRate), buffer.length - 1);
+    const available = buffer.length - start;
+    const length = trimLength > 0 ? Math.min(Math.round(trimLength * sampleRate), available) : available;
+
+    if (start === 0 && length === buffer.length) return buffer;
+
+    const trimmed = Tone.context.createBuffer(buffer.numberOfChannels, length, sampleRate);
+    const fadeIn = start > 0 ? Math.min(Math.round(AUDIO_CONSTANTS.IR_TRIM_FADE_IN * sampleRate), length) : 0;
+    const fadeOut = length < available ? Math.min(Math.round(AUDIO_CONSTANTS.IR_TRIM_FADE_OUT * sampleRate), length) : 0;
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const source = buffer.getChannelData(channel);
+        const target = trimmed.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            let gain = 1;
+            if (i < fadeIn) gain = i / fadeIn;
+            if (i >= length - fadeOut) gain = Math.min(gain, (length - 1 - i) / fadeOut);
+            target[i] = source[start + i] * gain;
+        }
+    }
+
+    return trimmed;
+}
+
+/**
+ * Encode an AudioBuffer as a PCM WAV file
+ *
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @param {number} bitDepth - 16 or 24
+ * @returns {ArrayBuffer} - WAV file contents
+ */
+function encodeWAV(buffer, bitDepth) {
+    bitDepth = bitDepth === 24 ? 24 : 16;
+
+    const channels = buffer.numberOfChannels;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = buffer.length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    // RIFF header and fmt chunk
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleaved samples
+    const channelData = [];
+    for (let c = 0; c < channels; c++) {
+        channelData.push(buffer.getChannelData(c));
+    }
+
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let i = 0; i < buffer.length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.round(clamp(channelData[c][i], -1, 1) * maxValue);
+            if (bitDepth === 16) {
+                view.setInt16(offset, sample, true);
+            } else {
+                view.setUint8(offset, sample & 0xff);
+                view.setUint8(offset + 1, (sample >> 8) & 0xff);
+                view.setUint8(offset + 2, (sample >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return view.buffer;
+}
+
+function downloadWAV(buffer, bitDepth) {
+    const wav = encodeWAV(buffer, bitDepth);
+    const blob = new Blob([wav], { type: 'audio/wav' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = 'wall-harp-render-' + timestamp + '.wav';
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+    console.log("WAV downloaded:", filename);
+}
+
+let audioEngine = null;
 
+async function initAudio() {
     if (!audioEngine) {
         audioEngine = new HarpAudioEngine();
     }
 
-    await audioEngine.initialize(numStrings);
+    await audioEngine.initialize();
     return audioEngine;
 }
 
@@ -517,7 +2239,7 @@ async function testAudioSystem() {
 
     try {
         if (!audioEngine || !audioEngine.initialized) {
-            await initAudio(12);
+            await initAudio();
         }
 
         // Play harp arpeggio
@@ -7,6 +7,12 @@ const STRING_MATERIALS = {
     steel: {
         name: 'Steel',
         density: 7850,           // kg/m³
+        youngsModulus: 200e9,    // Pa - music wire
+        yieldStrength: 1.8e9,    // Pa - hard-drawn music wire
+        breakingStrength: 2.2e9, // Pa - ultimate tensile strength
+        thermalExpansion: 12e-6, // 1/K
+        hygroscopicExpansion: 0, // 1/%RH - does not absorb water
+        lossFactor: 2e-5,        // internal damping η - rings for a long time
         tensionRange: [80, 150], // Newtons
         defaultTension: 120,
         color: [100, 140, 200],  // Bright steel blue
@@ -15,6 +21,12 @@ const STRING_MATERIALS = {
     nylon: {
         name: 'Nylon',
         density: 1140,           // kg/m³
+        youngsModulus: 3.5e9,    // Pa - monofilament
+        yieldStrength: 0.45e9,   // Pa
+        breakingStrength: 0.6e9, // Pa - drawn monofilament
+        thermalExpansion: 80e-6, // 1/K
+        hygroscopicExpansion: 1e-4, // 1/%RH - swells with moisture
+        lossFactor: 5e-4,        // internal damping η - high partials die away quickly
         tensionRange: [40, 80],
         defaultTension: 60,
         color: [255, 200, 0],    // Bright golden yellow
@@ -23,6 +35,12 @@ const STRING_MATERIALS = {
     gut: {
         name: 'Gut',
         density: 1300,           // kg/m³
+        youngsModulus: 5e9,      // Pa - varies with twist and humidity
+        yieldStrength: 0.38e9,   // Pa
+        breakingStrength: 0.5e9, // Pa - weakens with humidity
+        thermalExpansion: 40e-6, // 1/K
+        hygroscopicExpansion: 3e-4, // 1/%RH - very moisture sensitive
+        lossFactor: 1e-3,        // internal damping η - softest, quickest decay
         tensionRange: [50, 90],
         defaultTension: 70,
         color: [200, 150, 100],  // Natural tan/brown
@@ -31,6 +49,12 @@ const STRING_MATERIALS = {
     bronze: {
         name: 'Bronze (80/20)',
         density: 8800,           // kg/m³
+        youngsModulus: 110e9,    // Pa
+        yieldStrength: 0.55e9,   // Pa
+        breakingStrength: 0.7e9, // Pa
+        thermalExpansion: 18e-6, // 1/K
+        hygroscopicExpansion: 0, // 1/%RH
+        lossFactor: 1e-4,        // internal damping η
         tensionRange: [70, 130],
         defaultTension: 100,
         color: [220, 120, 40],   // Bright bronze/orange
@@ -39,6 +63,12 @@ const STRING_MATERIALS = {
     phosphorBronze: {
         name: 'Phosphor Bronze',
         density: 8900,           // kg/m³
+        youngsModulus: 115e9,    // Pa
+        yieldStrength: 0.75e9,   // Pa - spring temper
+        breakingStrength: 0.9e9, // Pa
+        thermalExpansion: 18e-6, // 1/K
+        hygroscopicExpansion: 0, // 1/%RH
+        lossFactor: 8e-5,        // internal damping η
         tensionRange: [75, 135],
         defaultTension: 105,
         color: [180, 80, 30],    // Deep reddish bronze
@@ -55,6 +85,17 @@ const STRING_GAUGES = {
     extraHeavy: { name: 'Extra Heavy', diameter: 0.90, description: 'Maximum volume and sustain' }
 };
 
+// Wound-string wraps (diameter in mm)
+// The core is the string's own material and gauge; the wrap is round wire wound
+// over it, adding mass without carrying load or adding bending stiffness
+const STRING_WINDINGS = {
+    plain: { name: 'Plain', wrapMaterial: null, wrapDiameter: 0, description: 'Solid unwound string' },
+    bronzeLight: { name: 'Bronze Light Wrap', wrapMaterial: 'bronze', wrapDiameter: 0.20, description: 'Lightly wound, for low tenor strings' },
+    bronzeHeavy: { name: 'Bronze Heavy Wrap', wrapMaterial: 'bronze', wrapDiameter: 0.40, description: 'Heavily wound bass string' },
+    phosphorBronze: { name: 'Phosphor Bronze Wrap', wrapMaterial: 'phosphorBronze', wrapDiameter: 0.30, description: 'Warm wound bass string' },
+    steel: { name: 'Steel Wrap', wrapMaterial: 'steel', wrapDiameter: 0.30, description: 'Bright roundwound bass string' }
+};
+
 // ===== PHYSICS CONSTANTS =====
 const PHYSICS_CONSTANTS = {
     FULL_STRING_LENGTH: 2134,    // mm (default ~7 feet)
@@ -75,23 +116,150 @@ const PHYSICS_CONSTANTS = {
     DEFAULT_MATERIAL: 'steel',
     DEFAULT_GAUGE: 'medium',
     DEFAULT_TENSION: 120,        // Newtons
+    DEFAULT_WINDING: 'plain',
 
     // Physical limits
     MIN_CAPO_DISTANCE: 50,
     MIN_PLAYABLE_LENGTH: 50,
     MAX_PLAYABLE_LENGTH: 2000,
 
-    // Calculate wave speed from material properties
-    // v = sqrt(T / μ) where μ = (π * r² * ρ)
-    calculateWaveSpeed: function(material, gauge, tension) {
+    // Number of partials reported for the stiff-string partial series
+    DEFAULT_PARTIAL_COUNT: 8,
+
+    // Minimum ratio of breaking strength to working stress before a string is flagged
+    SAFETY_FACTOR: 1.5,
+
+    // Wall section width used to break down frame load
+    LOAD_SECTION_WIDTH: 1000,    // mm
+
+    // Calculate linear mass density from material properties
+    // Core: μ = π * r² * ρ
+    // Wrap (optional): one turn of wire per wrap diameter, μw = ρw * π² * dw * (dc + dw) / 4
+    calculateLinearDensity: function(material, gauge, winding) {
         const mat = STRING_MATERIALS[material];
         const g = STRING_GAUGES[gauge];
 
         const radius = (g.diameter / 2) / 1000; // Convert mm to meters
-        const linearDensity = Math.PI * radius * radius * mat.density; // kg/m
+        let linearDensity = Math.PI * radius * radius * mat.density; // kg/m
+
+        const wrap = STRING_WINDINGS[winding || this.DEFAULT_WINDING];
+        if (wrap && wrap.wrapMaterial) {
+            const coreDiameter = g.diameter / 1000;
+            const wrapDiameter = wrap.wrapDiameter / 1000;
+            const wrapDensity = STRING_MATERIALS[wrap.wrapMaterial].density;
+            linearDensity += wrapDensity * Math.PI * Math.PI * wrapDiameter * (coreDiameter + wrapDiameter) / 4;
+        }
+
+        return linearDensity;
+    },
+
+    // Calculate outer diameter including any wrap (mm)
+    calculateOuterDiameter: function(gauge, winding) {
+        const wrap = STRING_WINDINGS[winding || this.DEFAULT_WINDING];
+        const wrapDiameter = wrap ? wrap.wrapDiameter : 0;
+        return STRING_GAUGES[gauge].diameter + 2 * wrapDiameter;
+    },
+
+    // Calculate load-bearing cross-section area A = π * r² (m²) - the core carries all tension
+    calculateCrossSectionArea: function(gauge) {
+        const radius = (STRING_GAUGES[gauge].diameter / 2) / 1000; // Convert mm to meters
+        return Math.PI * radius * radius;
+    },
+
+    // Calculate tensile stress σ = T / A (Pa)
+    calculateStress: function(gauge, tension) {
+        return tension / this.calculateCrossSectionArea(gauge);
+    },
+
+    // Calculate safety factor against breaking: breaking strength / σ
+    calculateSafetyFactor: function(material, gauge, tension) {
+        return STRING_MATERIALS[material].breakingStrength / this.calculateStress(gauge, tension);
+    },
+
+    // Calculate wave speed from material properties
+    // v = sqrt(T / μ) where μ is the effective linear density of core and wrap
+    calculateWaveSpeed: function(material, gauge, tension, winding) {
+        const linearDensity = this.calculateLinearDensity(material, gauge, winding);
         const waveSpeed = Math.sqrt(tension / linearDensity); // m/s
 
         return waveSpeed;
+    },
+
+    // Calculate bending stiffness π³ * E * d⁴ / 64 (N·m²) of the core
+    calculateBendingStiffness: function(material, gauge) {
+        const mat = STRING_MATERIALS[material];
+        const g = STRING_GAUGES[gauge];
+
+        const diameter = g.diameter / 1000; // Convert mm to meters
+        return Math.pow(Math.PI, 3) * mat.youngsModulus * Math.pow(diameter, 4) / 64;
+    },
+
+    // Calculate the stiffness term K = π³ * E * d⁴ / (64 * T) in m²
+    // The inharmonicity coefficient of a given vibrating length is B = K / L²
+    calculateStiffnessTerm: function(material, gauge, tension) {
+        return this.calculateBendingStiffness(material, gauge) / tension;
+    },
+
+    // Calculate inharmonicity coefficient for a stiff string with pinned ends
+    // B = π³ * E * d⁴ / (64 * T * L²), partials: fn = n * f0 * sqrt(1 + B * n²)
+    calculateInharmonicity: function(material, gauge, tension, lengthMm) {
+        const lengthM = lengthMm / 1000;
+        return this.calculateStiffnessTerm(material, gauge, tension) / (lengthM * lengthM);
+    },
+
+    // Calculate tension needed for a stiff string to sound a frequency
+    // f = v / (2L) * sqrt(1 + B)  =>  T = μ * (2 * L * f)² - π³ * E * d⁴ / (64 * L²)
+    calculateTensionForFrequency: function(material, gauge, frequency, lengthMm, winding) {
+        const lengthM = lengthMm / 1000;
+        const linearDensity = this.calculateLinearDensity(material, gauge, winding);
+        const bendingStiffness = this.calculateBendingStiffness(material, gauge);
+
+        return linearDensity * Math.pow(2 * lengthM * frequency, 2) - bendingStiffness / (lengthM * lengthM);
+    }
+};
+
+// ===== ENVIRONMENT CONSTANTS =====
+const ENVIRONMENT_CONSTANTS = {
+    REFERENCE_TEMPERATURE: 20,   // °C - strings are tuned at these conditions
+    REFERENCE_HUMIDITY: 50,      // %RH
+    FRAME_EXPANSION: 11e-6,      // 1/K - steel/concrete wall frame carrying the anchors
+    MIN_TENSION: 0.1,            // Newtons - a string cannot go below slack
+    DEFAULT_PROFILE: 'sunlitGallery',
+    SIMULATION_STEP_HOURS: 1
+};
+
+// 24-hour temperature (°C) and relative humidity (%RH) curves
+const ENVIRONMENT_PROFILES = {
+    sunlitGallery: {
+        name: 'Sunlit Gallery',
+        points: [
+            { hour: 0, temperature: 18, humidity: 60 },
+            { hour: 6, temperature: 16, humidity: 65 },
+            { hour: 10, temperature: 22, humidity: 50 },
+            { hour: 14, temperature: 30, humidity: 35 },
+            { hour: 17, temperature: 27, humidity: 40 },
+            { hour: 21, temperature: 20, humidity: 55 },
+            { hour: 24, temperature: 18, humidity: 60 }
+        ]
+    },
+    climateControlled: {
+        name: 'Climate Controlled',
+        points: [
+            { hour: 0, temperature: 20, humidity: 50 },
+            { hour: 12, temperature: 21.5, humidity: 47 },
+            { hour: 24, temperature: 20, humidity: 50 }
+        ]
+    },
+    heatedWinter: {
+        name: 'Heated Room in Winter',
+        points: [
+            { hour: 0, temperature: 17, humidity: 38 },
+            { hour: 7, temperature: 16, humidity: 40 },
+            { hour: 9, temperature: 22, humidity: 28 },
+            { hour: 18, temperature: 23, humidity: 25 },
+            { hour: 23, temperature: 18, humidity: 35 },
+            { hour: 24, temperature: 17, humidity: 38 }
+        ]
     }
 };
 
@@ -119,6 +287,42 @@ const VISUAL_CONSTANTS = {
     MAX_ZOOM: 4.0,
     ZOOM_SPEED: 0.1,
 
+    // Stress warning marker colors (canvas is always white)
+    STRESS_COLORS: {
+        low: [230, 160, 0],      // Below required safety factor
+        yield: [230, 90, 0],     // Past yield - will not hold pitch
+        break: [220, 0, 0]       // Past breaking strength
+    },
+
+    // Harmonic node marker color
+    HARMONIC_NODE_COLOR: [0, 150, 120],
+
+    // Spectrum and scope panel
+    SCOPE_PANEL_WIDTH: 360,
+    SCOPE_PANEL_HEIGHT: 220,
+    SCOPE_PANEL_MARGIN: 15,
+    SCOPE_SPECTRUM_FRACTION: 0.65, // Share of the panel height given to the spectrum
+    SCOPE_SAMPLES: 1024,           // Waveform samples shown (~23 ms at 44.1 kHz)
+    SCOPE_PARTIAL_COUNT: 16,       // Expected partials marked on the spectrum
+    DEFAULT_SCOPE_DOCK: 'bottom-left',
+    SPECTRUM_MIN_FREQUENCY: 20,    // Hz
+    SPECTRUM_MIN_DB: -100,
+    SPECTRUM_MAX_DB: 0,
+
+    // Piano roll sequence editor
+    PIANO_ROLL_HEIGHT: 280,
+    PIANO_ROLL_ROW_HEIGHT: 12,
+    PIANO_ROLL_LABEL_WIDTH: 56,
+    PIANO_ROLL_RULER_HEIGHT: 18,
+    PIANO_ROLL_VELOCITY_HEIGHT: 50,
+    PIANO_ROLL_BEAT_WIDTH: 48,     // Pixels per beat at zoom 1
+    PIANO_ROLL_MIN_BEAT_WIDTH: 8,
+    PIANO_ROLL_MAX_BEAT_WIDTH: 320,
+    PIANO_ROLL_ZOOM_STEP: 1.25,
+    PIANO_ROLL_DEFAULT_SNAP: 0.25, // Beats
+    PIANO_ROLL_EDGE_GRAB: 5,       // Pixels from a hit's end that drag its length
+    PIANO_ROLL_LOOP_COLOR: [0, 100, 200],
+
     // Professional Monochrome Palette - LIGHT THEME
     COLORS_LIGHT: {
         background: [250, 250, 250],
@@ -275,13 +479,17 @@ const INTERACTION_CONSTANTS = {
         PLUCK: 'pluck',
         ADJUST: 'adjust',
         PATTERN: 'pattern',
-        DRAW: 'draw'  // NEW: Free-form string drawing mode
+        DRAW: 'draw',  // NEW: Free-form string drawing mode
+        HARMONIC: 'harmonic'  // Touch a node to sound a natural harmonic
     },
     VIBRATION_DECAY: 0.95,
     MIN_AMPLITUDE: 0.01,
     DRAG_PLUCK_INTERVAL: 100,  // ms between auto-plucks while dragging
     ENDPOINT_GRAB_THRESHOLD: 20,  // Pixels - how close to click to grab an endpoint
-    DRAW_MODE_MARGIN: 40  // Pixels - margin from canvas edge for string placement
+    DRAW_MODE_MARGIN: 40,  // Pixels - margin from canvas edge for string placement
+    DEFAULT_HARMONIC_COUNT: 6,  // Harmonics shown as node markers (2nd through Nth)
+    MAX_HARMONIC_COUNT: 12,
+    HARMONIC_NODE_TOLERANCE: 0.02  // Fraction of vibrating length - how close a touch must be to a node
 };
 
 // ===== AUDIO ENGINE TYPES =====
@@ -324,9 +532,94 @@ const AUDIO_ENGINES = {
         description: 'Soft triangle wave',
         attack: 0.01,
         release: 0.5
+    },
+    modal: {
+        name: 'Modal (String Physics)',
+        description: 'Sum of decaying string modes from material, gauge and length'
+    },
+    sampler: {
+        name: 'Sampler',
+        description: 'Loaded harp samples, repitched to each string (engine type "sampler:<set name>")'
+    }
+};
+
+// ===== EFFECTS RACK =====
+// Module types for the effects rack; each param is a number slider {min, max, step, default, unit}
+// or a choice {options, default}
+const EFFECT_TYPES = {
+    filter: {
+        name: 'Filter',
+        params: {
+            type: { options: ['lowpass', 'highpass', 'bandpass', 'notch'], default: 'lowpass' },
+            frequency: { min: 20, max: 20000, step: 10, default: 2000, unit: 'Hz' },
+            Q: { min: 0.1, max: 20, step: 0.1, default: 1.0, unit: '' }
+        }
+    },
+    eq: {
+        name: 'EQ (3-Band)',
+        params: {
+            low: { min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            mid: { min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            high: { min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            lowFrequency: { min: 40, max: 2000, step: 10, default: 400, unit: 'Hz' },
+            highFrequency: { min: 1000, max: 12000, step: 50, default: 2500, unit: 'Hz' }
+        }
+    },
+    compressor: {
+        name: 'Compressor',
+        params: {
+            threshold: { min: -60, max: 0, step: 1, default: -24, unit: 'dB' },
+            ratio: { min: 1, max: 20, step: 0.5, default: 4, unit: ':1' },
+            attack: { min: 0, max: 1, step: 0.001, default: 0.003, unit: 's' },
+            release: { min: 0.01, max: 1, step: 0.01, default: 0.25, unit: 's' },
+            knee: { min: 0, max: 40, step: 1, default: 30, unit: 'dB' }
+        }
+    },
+    limiter: {
+        name: 'Limiter',
+        params: {
+            threshold: { min: -24, max: 0, step: 0.5, default: -1, unit: 'dB' }
+        }
+    },
+    chorus: {
+        name: 'Chorus',
+        params: {
+            frequency: { min: 0.1, max: 10, step: 0.1, default: 1.5, unit: 'Hz' },
+            delayTime: { min: 1, max: 20, step: 0.5, default: 3.5, unit: 'ms' },
+            depth: { min: 0, max: 1, step: 0.01, default: 0.5, unit: '' },
+            wet: { min: 0, max: 1, step: 0.01, default: 0.2, unit: '' }
+        }
+    },
+    delay: {
+        name: 'Delay',
+        params: {
+            delayTime: { min: 0.01, max: 1, step: 0.01, default: 0.15, unit: 's' },
+            feedback: { min: 0, max: 0.95, step: 0.01, default: 0.3, unit: '' },
+            wet: { min: 0, max: 1, step: 0.01, default: 0.15, unit: '' }
+        }
+    },
+    reverb: {
+        name: 'Reverb',
+        params: {
+            decay: { min: 0.5, max: 8, step: 0.1, default: 2.5, unit: 's' },
+            preDelay: { min: 0, max: 0.2, step: 0.005, default: 0.01, unit: 's' },
+            wet: { min: 0, max: 1, step: 0.01, default: 0.4, unit: '' }
+        }
     }
 };
 
+// Rack of a new engine: synth → chorus → delay → reverb → volume
+const DEFAULT_EFFECTS_RACK = ['chorus', 'delay', 'reverb'];
+
+// Engine params that address the first rack module of a type (the sound settings sliders)
+const EFFECT_PARAM_ALIASES = {
+    reverbDecay: { type: 'reverb', param: 'decay' },
+    reverbWet: { type: 'reverb', param: 'wet' },
+    delayTime: { type: 'delay', param: 'delayTime' },
+    delayWet: { type: 'delay', param: 'wet' },
+    chorusWet: { type: 'chorus', param: 'wet' }
+};
+
 // ===== AUDIO CONSTANTS =====
 const AUDIO_CONSTANTS = {
     DEFAULT_ENGINE: 'karplus',
@@ -339,7 +632,80 @@ const AUDIO_CONSTANTS = {
     REVERB_PREDELAY: 0.01,
     DEFAULT_DURATION: 4,
     DEFAULT_VELOCITY: 0.7,
-    ARPEGGIO_INTERVAL: 0.15
+    ARPEGGIO_INTERVAL: 0.15,
+    DAMPED_DURATION: 0.15,       // seconds - a damped segment stops almost at once
+    DAMPED_VELOCITY_SCALE: 0.3,
+    MIN_PLUCK_POSITION: 0.05,    // Plucks closer to an end are clamped to this
+    PLUCK_COMB_MAX_DELAY: 0.05,  // seconds - half the period of the lowest audible string
+    PLUCK_COMB_MAX_GAIN: 2,      // Limit on make-up gain for plucks near the end
+    RENDER_TAIL: 4,              // seconds of ring-out after the last note in offline renders
+    RENDER_BIT_DEPTH: 16,
+    DEFAULT_POLYPHONY: 24,       // Voices shared by all strings
+    MAX_POLYPHONY: 128,
+    DEFAULT_STEAL_MODE: 'oldest', // 'oldest' or 'quietest'
+    SPEED_OF_SOUND: 343000,      // mm/s
+    DEFAULT_STEREO_WIDTH: 1,     // 0 = mono, 1 = wall spans the stereo field, 2 = exaggerated
+    MAX_STEREO_WIDTH: 2,
+    DEFAULT_LISTENER_DISTANCE: 3000, // mm from the wall
+    MIN_LISTENER_DISTANCE: 300,
+    MAX_SPATIAL_DELAY: 0.1,      // seconds - longest path difference across the wall
+    DEFAULT_SYMPATHETIC_AMOUNT: 0.3, // 0 = off, 1 = strongest sympathetic ringing
+    SYMPATHETIC_PARTIALS: 6,     // Partials compared on each string
+    SYMPATHETIC_TOLERANCE_CENTS: 15,
+    SYMPATHETIC_THRESHOLD: 0.02, // Excitations quieter than this are skipped
+    SYMPATHETIC_MAX_STRINGS: 6,  // Strongest matches excited per pluck
+    SYMPATHETIC_ONSET: 0.04,     // seconds - resonance builds up after the pluck
+
+    // Modal engine
+    MODAL_PARTIALS: 12,          // Modes summed per voice
+    MODAL_AIR_DAMPING: 0.25,     // kg/(m²·s) - air drag, decay rate = k * d / μ
+    MODAL_DEFAULT_LOSS: 1e-3,    // Internal loss factor for materials without one
+    MODAL_ATTACK: 0.002,         // seconds
+    MODAL_RELEASE: 0.1,          // seconds - time constant once the note is released
+    MODAL_TAIL_TIME_CONSTANTS: 5, // Oscillators stop this many time constants into a decay (-43 dB)
+    MODAL_GAIN: 0.3,             // Output scale so summed modes stay below full scale
+
+    // Damping
+    DEFAULT_DAMP_AFTER: 1.0,     // seconds - ring time when a string is not let ring
+    MIN_DAMP_AFTER: 0.05,
+    MAX_DAMP_AFTER: 10,
+    DEFAULT_DAMP_RELEASE: 0.15,  // seconds - fade-out when a hand stops the string
+    MIN_DAMP_RELEASE: 0.01,
+    MAX_DAMP_RELEASE: 2,
+    STOP_RELEASE: 0.05,          // seconds - fade-out for stop all
+
+    // Tuner (pitch detection on the master bus)
+    TUNER_BUFFER_SIZE: 4096,     // Samples analysed per reading (power of 2)
+    TUNER_MIN_FREQUENCY: 40,     // Hz
+    TUNER_MAX_FREQUENCY: 5000,   // Hz
+    TUNER_THRESHOLD: 0.15,       // YIN dip threshold - lower is stricter
+    TUNER_MIN_RMS: 0.005,        // Below this the output counts as silent
+    TUNER_INTERVAL: 0.1,         // seconds between readings
+    TUNER_TOLERANCE_CENTS: 5,    // Measured errors beyond this are flagged
+
+    // Spectrum analyser
+    SPECTRUM_SIZE: 4096,         // FFT bins from 0 to Nyquist (power of 2)
+
+    // Convolution reverb
+    DEFAULT_CONVOLUTION_WET: 0.35,
+    DEFAULT_CONVOLUTION_PREDELAY: 0.01, // seconds
+    MAX_CONVOLUTION_PREDELAY: 0.5,      // seconds
+    IR_TRIM_FADE_IN: 0.002,      // seconds - fade where the IR start is trimmed
+    IR_TRIM_FADE_OUT: 0.05,      // seconds - fade where the IR tail is trimmed
+
+    // Sampler engine
+    SAMPLER_FADE_IN: 0.001,      // seconds - click guard at the start of a sample
+    SAMPLER_RELEASE: 0.2,        // seconds - fade when a sampled note is released
+    SAMPLER_GAIN: 0.8            // Output scale at full velocity
+};
+
+// ===== MIDI FILES =====
+const MIDI_CONSTANTS = {
+    EXPORT_PPQ: 480,             // Ticks per quarter note in exported files
+    PITCH_BEND_RANGE: 2,         // semitones - set on every exported channel with RPN 0
+    DRUM_CHANNEL: 9,             // Never used for exported notes
+    NEAREST_MAX_CENTS: 100,      // Nearest-pitch import leaves notes further than this from every string unmatched
+    CHORD_WINDOW_BEATS: 1 / 32   // Imported notes starting this close together become one chord step
 };
 
 // Theme switcher
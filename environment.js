@@ -0,0 +1,204 @@
+/**
+ * WALL HARP SIMULATOR - ENVIRONMENT
+ * Temperature and humidity drift over a daily profile
+ */
+
+class EnvironmentModel {
+    constructor() {
+        this.temperature = ENVIRONMENT_CONSTANTS.REFERENCE_TEMPERATURE; // °C
+        this.humidity = ENVIRONMENT_CONSTANTS.REFERENCE_HUMIDITY;       // %RH
+        this.hour = 0;
+        this.profile = ENVIRONMENT_PROFILES[ENVIRONMENT_CONSTANTS.DEFAULT_PROFILE];
+        this.showDrift = false; // Show drifted tuning in the info panel
+    }
+
+    /**
+     * Set current room conditions directly
+     * @param {number} temperature - Temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     */
+    setConditions(temperature, humidity) {
+        this.temperature = temperature;
+        this.humidity = clamp(humidity, 0, 100);
+    }
+
+    /**
+     * Use a profile as the daily curve
+     * @param {object} profile - {name, points: [{hour, temperature, humidity}]}
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.setHour(this.hour);
+        console.log(`✓ Environment profile: ${profile.name} (${profile.points.length} points)`);
+    }
+
+    /**
+     * Move to a time of day on the current profile
+     * @param {number} hour - Hour of day (0-24)
+     */
+    setHour(hour) {
+        this.hour = hour;
+        const conditions = this.getConditionsAt(hour);
+        this.setConditions(conditions.temperature, conditions.humidity);
+    }
+
+    /**
+     * Interpolate profile conditions at a time of day
+     * @param {number} hour - Hour of day (wraps at 24)
+     * @returns {object} - {hour, temperature, humidity}
+     */
+    getConditionsAt(hour) {
+        const points = this.profile.points;
+        const h = ((hour % 24) + 24) % 24;
+
+        if (points.length === 1 || h <= points[0].hour) {
+            return { hour: hour, temperature: points[0].temperature, humidity: points[0].humidity };
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (h <= b.hour) {
+                const t = (h - a.hour) / (b.hour - a.hour);
+                return {
+                    hour: hour,
+                    temperature: lerp(a.temperature, b.temperature, t),
+                    humidity: lerp(a.humidity, b.humidity, t)
+                };
+            }
+        }
+
+        const last = points[points.length - 1];
+        return { hour: hour, temperature: last.temperature, humidity: last.humidity };
+    }
+
+    /**
+     * Get drifted state of a string at the current conditions
+     * @param {HarpString} string - String to evaluate
+     * @returns {object} - {tension, lengthMm, frequency, cents, assumedExpansion}
+     */
+    getDrift(string) {
+        return string.calculateDriftedState(this.temperature, this.humidity);
+    }
+
+    /**
+     * Run every string through the profile
+     * @param {Array<HarpString>} strings - Strings to simulate
+     * @param {number} stepHours - Time step in hours (optional)
+     * @returns {object} - {steps: [{hour, temperature, humidity, cents: []}], summary: [{stringNumber, noteName, material, minCents, maxCents, rangeCents, assumedExpansion}]}
+     */
+    simulateProfile(strings, stepHours) {
+        stepHours = stepHours || ENVIRONMENT_CONSTANTS.SIMULATION_STEP_HOURS;
+
+        const steps = [];
+        for (let hour = 0; hour <= 24 + 1e-9; hour += stepHours) {
+            const conditions = this.getConditionsAt(hour);
+            steps.push({
+                hour: hour,
+                temperature: conditions.temperature,
+                humidity: conditions.humidity,
+                cents: strings.map(s => s.calculateDriftedState(conditions.temperature, conditions.humidity).cents)
+            });
+        }
+
+        const summary = strings.map((s, i) => {
+            const series = steps.map(step => step.cents[i]);
+            const minCents = Math.min(...series);
+            const maxCents = Math.max(...series);
+            return {
+                stringNumber: s.index + 1,
+                noteName: s.noteName,
+                material: s.material,
+                minCents: minCents,
+                maxCents: maxCents,
+                rangeCents: maxCents - minCents,
+                assumedExpansion: !!STRING_MATERIALS[s.material].assumedExpansion
+            };
+        });
+
+        console.log(`✓ Simulated ${strings.length} strings over ${this.profile.name} (${steps.length} steps)`);
+        return { steps: steps, summary: summary };
+    }
+}
+
+/**
+ * Parse a profile from text, one "hour, temperature, humidity" point per line
+ *
+ * @param {string} text - Profile text
+ * @param {string} name - Profile name (optional)
+ * @returns {object|null} - Profile, or null if invalid
+ */
+function parseEnvironmentProfile(text, name) {
+    const points = [];
+    const lines = text.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line === '' || line.startsWith('#')) continue;
+
+        const values = line.split(/[,\s]+/).map(v => parseFloat(v));
+        if (values.length < 3 || values.some(v => isNaN(v))) {
+            console.error(`Profile line ${i + 1}: expected "hour, temperature, humidity", got "${line}"`);
+            return null;
+        }
+        if (values[0] < 0 || values[0] > 24) {
+            console.error(`Profile line ${i + 1}: hour must be between 0 and 24`);
+            return null;
+        }
+
+        points.push({ hour: values[0], temperature: values[1], humidity: values[2] });
+    }
+
+    if (points.length === 0) {
+        console.error("Profile has no points");
+        return null;
+    }
+
+    points.sort((a, b) => a.hour - b.hour);
+    return { name: name || 'Custom Profile', points: points };
+}
+
+// Export profile simulation to CSV (one column per string)
+function exportDriftToCSV(strings, simulation) {
+    const headers = ['Hour', 'Temperature (C)', 'Humidity (%RH)']
+        .concat(strings.map(s => `#${s.index + 1} ${s.noteName} (cents)`));
+
+    let csv = headers.join(',') + '\n';
+    simulation.steps.forEach(step => {
+        const row = [
+            step.hour.toFixed(2),
+            step.temperature.toFixed(1),
+            step.humidity.toFixed(1)
+        ].concat(step.cents.map(c => c.toFixed(2)));
+        csv += row.join(',') + '\n';
+    });
+
+    return csv;
+}
+
+function downloadDriftCSV(strings, simulation) {
+    const csv = exportDriftToCSV(strings, simulation);
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = 'wall-harp-drift-' + timestamp + '.csv';
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+    console.log("Drift CSV downloaded:", filename);
+}
+
+// Create global environment instance
+const environment = new EnvironmentModel();
+
+// Export for ES6 modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnvironmentModel, environment, parseEnvironmentProfile, exportDriftToCSV, downloadDriftCSV };
+}
@@ -26,6 +26,7 @@ class InteractionManager {
         this.draggedString = null;
         this.draggedCapo = null; // 'lower' or 'upper'
         this.activeCapo = 'lower'; // Which capo is selected for keyboard control
+        this.harmonicCount = INTERACTION_CONSTANTS.DEFAULT_HARMONIC_COUNT; // Harmonics shown in harmonic mode
 
         // For auto-pluck while dragging
         this.lastDragPluckTime = 0;
@@ -187,7 +188,8 @@ class InteractionManager {
                     this.selectedStringIndex = string.index;
                     this.selectedStringIndices = [string.index];
                     this.updateSelection();
-                    string.pluck();
+                    string.pluck(undefined, undefined, projectOntoLineSegment(
+                        mouseX, mouseY, string.startX, string.startY, string.endX, string.endY));
                     console.log(`Plucked string #${string.index + 1}`);
                 }
             } else {
@@ -271,8 +273,9 @@ class InteractionManager {
      * @param {number} mouseY - Mouse Y coordinate
      * @param {boolean} isMultiSelect - Whether Ctrl/Cmd is pressed for multi-selection
      * @param {boolean} shiftKey - Whether Shift is pressed
+     * @param {boolean} altKey - Whether Alt is pressed (damps the string instead of plucking)
      */
-    handleMousePressed(mouseX, mouseY, isMultiSelect = false, shiftKey = false) {
+    handleMousePressed(mouseX, mouseY, isMultiSelect = false, shiftKey = false, altKey = false) {
         // Route to draw mode handler if in draw mode
         if (this.mode === INTERACTION_CONSTANTS.MODES.DRAW) {
             this.handleDrawModeMousePressed(mouseX, mouseY, shiftKey, isMultiSelect);
@@ -285,6 +288,14 @@ class InteractionManager {
         if (stringIndex === -1) return;
 
         const string = this.strings[stringIndex];
+
+        // Alt-click lays a hand on the string: damp it without changing the selection
+        if (altKey) {
+            string.damp();
+            console.log(`Damped string #${stringIndex + 1}`);
+            return;
+        }
+
         this.selectedStringIndex = stringIndex;
 
         if (isMultiSelect) {
@@ -313,12 +324,26 @@ class InteractionManager {
 
         // ALWAYS pluck when clicking a string (in all modes)
         if (this.mode === INTERACTION_CONSTANTS.MODES.PLUCK) {
-            // Full pluck in pluck mode
-            string.pluck();
+            // Full pluck in pluck mode, on the segment under the cursor
+            const positionMm = screenYToMm(mouseY, this.canvasHeight);
+            string.pluckSegment(string.getSegmentAtPosition(positionMm), undefined, undefined,
+                string.getPluckPosition(positionMm));
+
+        } else if (this.mode === INTERACTION_CONSTANTS.MODES.HARMONIC) {
+            // Touch a node of the vibrating length to sound that harmonic
+            const positionMm = screenYToMm(mouseY, this.canvasHeight);
+            const fraction = (positionMm - string.lowerCapoMm) / string.playableLengthMm;
+            const harmonic = string.findHarmonicAtFraction(fraction, this.harmonicCount);
+
+            if (harmonic) {
+                string.pluckHarmonic(harmonic);
+            } else {
+                console.log(`No harmonic node at ${(fraction * 100).toFixed(1)}% of the vibrating length`);
+            }
 
         } else if (this.mode === INTERACTION_CONSTANTS.MODES.ADJUST) {
             // Pluck even in adjust mode
-            string.pluck(1.0, 0.5); // Shorter, quieter
+            string.pluck(1.0, 0.5, string.getPluckPosition(screenYToMm(mouseY, this.canvasHeight))); // Shorter, quieter
 
             // Check if clicking on a capo or anywhere on the string
             const lowerCapoY = mmToScreenY(string.lowerCapoMm, this.canvasHeight);
@@ -495,6 +520,7 @@ class InteractionManager {
         if (key === '2') this.setMode(INTERACTION_CONSTANTS.MODES.ADJUST);
         if (key === '3') this.setMode(INTERACTION_CONSTANTS.MODES.PATTERN);
         if (key === '4') this.setMode(INTERACTION_CONSTANTS.MODES.DRAW);
+        if (key === '5') this.setMode(INTERACTION_CONSTANTS.MODES.HARMONIC);
 
         // Arrow Left/Right: Navigate between strings
         if (key === 'ArrowLeft') {
@@ -605,6 +631,14 @@ class InteractionManager {
             if (selected) selected.pluck();
         }
 
+        // 'D' to damp the selected strings, Escape to damp every string
+        if (key === 'd' || key === 'D') {
+            this.dampSelectedStrings();
+        }
+        if (key === 'Escape') {
+            this.dampAllStrings();
+        }
+
         // Delete/Backspace to delete string in draw mode
         if ((key === 'Delete' || key === 'Backspace') && this.mode === INTERACTION_CONSTANTS.MODES.DRAW) {
             const selectedStrings = this.getSelectedStrings();
@@ -626,6 +660,23 @@ class InteractionManager {
         }
     }
 
+    /**
+     * Damp every selected string
+     */
+    dampSelectedStrings() {
+        const selectedStrings = this.getSelectedStrings();
+        selectedStrings.forEach(string => string.damp());
+        console.log(`Damped ${selectedStrings.length} selected string(s)`);
+    }
+
+    /**
+     * Damp every string
+     */
+    dampAllStrings() {
+        this.strings.forEach(string => string.damp());
+        console.log("Damped all strings");
+    }
+
     /**
      * Update selection state of all strings
      */
@@ -18,6 +18,9 @@ class WallHarpSimulator {
         this.wallHeightMm = this.wallHeightFt * 304.8;
         this.reverseCapoMode = false;
 
+        // Frame load analysis section width
+        this.loadSectionWidthMm = PHYSICS_CONSTANTS.LOAD_SECTION_WIDTH;
+
         // Material properties
         this.currentMaterial = PHYSICS_CONSTANTS.DEFAULT_MATERIAL;
         this.currentGauge = PHYSICS_CONSTANTS.DEFAULT_GAUGE;
@@ -31,6 +34,10 @@ class WallHarpSimulator {
         this.isPanning = false;
         this.lastMouseX = 0;
         this.lastMouseY = 0;
+        this.lastTunerUpdate = 0; // ms - tuner readings are throttled
+
+        // Spectrum / scope overlay
+        this.scopePanel = { visible: false, dock: VISUAL_CONSTANTS.DEFAULT_SCOPE_DOCK };
     }
 
     async init() {
@@ -53,6 +60,7 @@ class WallHarpSimulator {
             if (!audioEngine) {
                 audioEngine = new HarpAudioEngine();
             }
+            audioEngine.setStrings(this.strings);
 
             // Create interaction manager (will be updated with actual canvas size in p5 setup)
             this.interactionManager = new InteractionManager(
@@ -166,15 +174,18 @@ class WallHarpSimulator {
         drawMeasurementRuler(p);
 
         // Draw strings
+        const sequencedStrings = sequencer.getSoundingStrings();
         this.strings.forEach((string) => {
             string.updatePlaying(p.deltaTime / 1000);
 
+            // Highlight the hovered string and the sequencer step being heard
             const isHovered = (string.index === this.interactionManager.hoveredStringIndex);
-            if (isHovered && !string.isSelected) {
+            if ((isHovered && !string.isSelected) || sequencedStrings.includes(string.index)) {
                 drawStringHighlight(p, string);
             }
 
-            drawString(p, string, string.isSelected, this.interactionManager.mode, isHovered);
+            drawString(p, string, string.isSelected, this.interactionManager.mode, isHovered,
+                this.interactionManager.harmonicCount);
         });
 
         p.pop();
@@ -191,6 +202,21 @@ class WallHarpSimulator {
         // Draw string spacing labels (not affected by zoom/pan)
         drawStringSpacing(p, this.numStrings);
 
+        // Spectrum and scope of the master output (not affected by zoom/pan)
+        if (this.scopePanel.visible) {
+            const selected = this.interactionManager.getSelectedString();
+            const partials = selected
+                ? selected.getPartials(VISUAL_CONSTANTS.SCOPE_PARTIAL_COUNT).map(partial => partial.frequency)
+                : [];
+            drawScopePanel(p, audioEngine ? audioEngine.getScopeData() : null, partials, this.scopePanel.dock);
+        }
+
+        // Measure the synthesized pitch of the last pluck
+        if (audioEngine && p.millis() - this.lastTunerUpdate > AUDIO_CONSTANTS.TUNER_INTERVAL * 1000) {
+            this.lastTunerUpdate = p.millis();
+            updateTunerReading(audioEngine.measurePitch());
+        }
+
         // Draw zoom indicator
         p.fill(VISUAL_CONSTANTS.COLORS.textDim);
         p.noStroke();
@@ -218,7 +244,10 @@ class WallHarpSimulator {
         // Check for Ctrl/Cmd key for multi-selection
         const isMultiSelect = p.keyIsDown(p.CONTROL) || p.keyIsDown(93); // 93 is Cmd on Mac
 
-        this.interactionManager.handleMousePressed(transformedX, transformedY, isMultiSelect, shiftKey);
+        // Alt/Option-click damps a string
+        const altKey = p.keyIsDown(p.ALT);
+
+        this.interactionManager.handleMousePressed(transformedX, transformedY, isMultiSelect, shiftKey, altKey);
         this.selectedStringIndex = this.interactionManager.selectedStringIndex;
         this.updateUI();
     }
@@ -283,6 +312,10 @@ class WallHarpSimulator {
             updateInfoPanel(selectedString, selectionCount);
         }
 
+        updateSafetyReport(this);
+        updateFrameLoadPanel(this);
+        updateHarmonicsPanel(this);
+
         // Update wall dimension displays
         const maxStringsValue = document.getElementById('maxStringsValue');
         const stringSpacingValue = document.getElementById('stringSpacingValue');
@@ -330,7 +363,9 @@ class WallHarpSimulator {
             }
         });
 
+        this.applyReverseCapoMode();
         this.interactionManager.strings = this.strings;
+        audioEngine.setStrings(this.strings);
 
         // Reset selection to first string and update selection state
         this.selectedStringIndex = 0;
@@ -338,11 +373,6 @@ class WallHarpSimulator {
         this.interactionManager.selectedStringIndices = [0];
         this.interactionManager.updateSelection();
 
-        if (audioEngine && audioEngine.initialized) {
-            audioEngine.dispose();
-            audioEngine.initialize(count);
-        }
-
         console.log("✓ Strings created. First string totalStrings:", this.strings[0].totalStrings);
         console.log("✓ Selection updated. Selected indices:", this.interactionManager.selectedStringIndices);
         console.log("✓ Preserved draw mode strings where possible");
@@ -434,7 +464,9 @@ class WallHarpSimulator {
             this.currentGauge,
             this.currentTension
         );
+        this.applyReverseCapoMode();
         this.interactionManager.strings = this.strings;
+        audioEngine.setStrings(this.strings);
 
         // Reset selection and update selection state
         this.selectedStringIndex = 0;
@@ -469,11 +501,24 @@ class WallHarpSimulator {
         console.log('Material properties applied to all strings');
     }
 
+    /**
+     * Set the minimum safety factor used to flag overstressed strings
+     * @param {number} factor - Required breaking strength / stress ratio
+     */
+    setSafetyFactor(factor) {
+        PHYSICS_CONSTANTS.SAFETY_FACTOR = factor;
+
+        this.strings.forEach(string => string.updateCalculations());
+
+        this.updateUI();
+        console.log(`Safety factor set to ${factor.toFixed(1)}`);
+    }
+
     setAudioEngine(engineType) {
         console.log(`Setting audio engine: ${engineType}`);
         this.currentAudioEngine = engineType;
 
-        if (audioEngine && audioEngine.initialized) {
+        if (audioEngine) {
             audioEngine.setEngineType(engineType);
         }
     }
@@ -538,7 +583,9 @@ class WallHarpSimulator {
                 }
             });
 
+            this.applyReverseCapoMode();
             this.interactionManager.strings = this.strings;
+            audioEngine.setStrings(this.strings);
 
             console.log(`✓ Created strings. First string: lowerCapo=${this.strings[0].lowerCapoMm}mm, upperCapo=${this.strings[0].upperCapoMm}mm`);
             console.log(`✓ Preserved draw mode strings`);
@@ -567,39 +614,38 @@ class WallHarpSimulator {
         return this.wallWidthMm / this.numStrings;
     }
 
+    /**
+     * Set the highest harmonic marked and playable in harmonic mode
+     * @param {number} count - Highest harmonic number
+     */
+    setHarmonicCount(count) {
+        this.interactionManager.harmonicCount = clamp(count, 2, INTERACTION_CONSTANTS.MAX_HARMONIC_COUNT);
+        this.updateUI();
+    }
+
+    /**
+     * Show, hide or re-dock the spectrum / scope panel
+     * @param {object} settings - {visible, dock}
+     */
+    setScopePanel(settings) {
+        Object.assign(this.scopePanel, settings);
+        console.log('Scope panel:', this.scopePanel);
+    }
+
     toggleReverseCapoMode() {
         this.reverseCapoMode = !this.reverseCapoMode;
         console.log(`Reverse capo mode: ${this.reverseCapoMode ? 'ON' : 'OFF'}`);
 
-        // Recreate strings with reversed capo positions
-        this.strings = createChromaticStrings(
-            this.numStrings,
-            this.currentMaterial,
-            this.currentGauge,
-            this.currentTension
-        );
-
-        // Apply reverse if enabled
-        if (this.reverseCapoMode) {
-            this.strings.forEach((string) => {
-                // Swap capo positions
-                const temp = string.lowerCapoMm;
-                string.lowerCapoMm = string.upperCapoMm;
-                string.upperCapoMm = temp;
-            });
-        }
-
-        this.interactionManager.strings = this.strings;
-
-        // Reset selection and update selection state
-        this.selectedStringIndex = 0;
-        this.interactionManager.selectedStringIndex = 0;
-        this.interactionManager.selectedStringIndices = [0];
-        this.interactionManager.updateSelection();
+        // Damp the middle segment and sound the portions outside the capos
+        this.applyReverseCapoMode();
 
         this.updateUI();
         showNotification(`Reverse capo mode: ${this.reverseCapoMode ? 'ON' : 'OFF'}`, 'info');
     }
+
+    applyReverseCapoMode() {
+        this.strings.forEach(string => string.setReverseCapoMode(this.reverseCapoMode));
+    }
 }
 
 // ===== INITIALIZATION =====
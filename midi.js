@@ -0,0 +1,389 @@
+/**
+ * WALL HARP SIMULATOR - MIDI FILES
+ * Standard MIDI File import onto the strings and export of sequences and recordings
+ */
+
+/**
+ * Parse a Standard MIDI File (type 0 or 1)
+ *
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {object|null} - {format, ticksPerBeat, tempo (first BPM), notes: [{midi, velocity, ticks, durationTicks,
+ *                          time, duration, channel, track}]} sorted by time, or null if the file is invalid
+ */
+function parseMidiFile(arrayBuffer) {
+    const data = new DataView(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    const readString = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+    if (bytes.length < 14 || readString(0, 4) !== 'MThd') {
+        console.error("Not a MIDI file (no MThd header)");
+        return null;
+    }
+
+    const format = data.getUint16(8);
+    const trackCount = data.getUint16(10);
+    const division = data.getUint16(12);
+    if (format > 1) {
+        console.error("Unsupported MIDI format:", format, "(only type 0 and 1)");
+        return null;
+    }
+
+    // Negative high byte = SMPTE frames per second; ticks then count real time
+    let ticksPerBeat = division;
+    let smpteTicksPerSecond = 0;
+    if (division & 0x8000) {
+        smpteTicksPerSecond = -data.getInt8(12) * (division & 0xff);
+        ticksPerBeat = smpteTicksPerSecond / 2; // as if at 120 BPM
+    }
+
+    const notes = [];
+    const tempos = [];
+    let offset = 8 + data.getUint32(4);
+
+    for (let track = 0; track < trackCount; track++) {
+        if (offset + 8 > bytes.length || readString(offset, 4) !== 'MTrk') {
+            console.error(`MIDI track ${track + 1} is missing or damaged`);
+            return null;
+        }
+
+        const end = Math.min(offset + 8 + data.getUint32(offset + 4), bytes.length);
+        let pos = offset + 8;
+        let ticks = 0;
+        let runningStatus = 0;
+        const open = {}; // Sounding notes by "channel:note", oldest first
+
+        const readVarLength = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = bytes[pos++];
+                value = (value << 7) | (byte & 0x7f);
+            } while (byte & 0x80 && pos < end);
+            return value;
+        };
+
+        const noteOff = (channel, midi) => {
+            const started = open[channel + ':' + midi];
+            if (!started || started.length === 0) return;
+            const note = started.shift();
+            note.durationTicks = ticks - note.ticks;
+        };
+
+        while (pos < end) {
+            ticks += readVarLength();
+
+            let status = bytes[pos];
+            if (status & 0x80) {
+                pos++;
+            } else {
+                status = runningStatus; // Running status: reuse the last channel status byte
+            }
+
+            if (status === 0xff) {
+                const type = bytes[pos++];
+                const length = readVarLength();
+                if (type === 0x51 && length === 3) {
+                    const microsecondsPerBeat = (bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2];
+                    tempos.push({ ticks: ticks, bpm: 60000000 / microsecondsPerBeat });
+                }
+                pos += length;
+                if (type === 0x2f) break; // End of track
+                continue;
+            }
+
+            if (status === 0xf0 || status === 0xf7) {
+                const length = readVarLength(); // SysEx
+                pos += length;
+                continue;
+            }
+
+            if (!(status & 0x80)) {
+                console.error(`MIDI track ${track + 1}: data byte without a status at byte ${pos}`);
+                return null;
+            }
+
+            runningStatus = status;
+            const type = status & 0xf0;
+            const channel = status & 0x0f;
+            const data1 = bytes[pos++];
+            const data2 = (type === 0xc0 || type === 0xd0) ? 0 : bytes[pos++];
+
+            if (type === 0x90 && data2 > 0) {
+                const note = {
+                    midi: data1,
+                    velocity: data2 / 127,
+                    ticks: ticks,
+                    durationTicks: 0,
+                    channel: channel,
+                    track: track
+                };
+                const key = channel + ':' + data1;
+                (open[key] = open[key] || []).push(note);
+                notes.push(note);
+            } else if (type === 0x80 || type === 0x90) {
+                noteOff(channel, data1);
+            }
+        }
+
+        offset = end;
+    }
+
+    // Tempo map: seconds at each tempo change, for converting ticks to time
+    tempos.sort((a, b) => a.ticks - b.ticks);
+    if (tempos.length === 0 || tempos[0].ticks > 0) tempos.unshift({ ticks: 0, bpm: 120 });
+    let seconds = 0;
+    tempos.forEach((tempo, i) => {
+        if (i > 0) {
+            const previous = tempos[i - 1];
+            seconds += (tempo.ticks - previous.ticks) / ticksPerBeat * 60 / previous.bpm;
+        }
+        tempo.seconds = seconds;
+    });
+
+    const ticksToSeconds = t => {
+        if (smpteTicksPerSecond) return t / smpteTicksPerSecond;
+        let tempo = tempos[0];
+        for (const candidate of tempos) {
+            if (candidate.ticks > t) break;
+            tempo = candidate;
+        }
+        return tempo.seconds + (t - tempo.ticks) / ticksPerBeat * 60 / tempo.bpm;
+    };
+
+    notes.forEach(note => {
+        note.time = ticksToSeconds(note.ticks);
+        note.duration = ticksToSeconds(note.ticks + note.durationTicks) - note.time;
+    });
+    notes.sort((a, b) => a.ticks - b.ticks || a.midi - b.midi);
+
+    console.log(`✓ MIDI file parsed: type ${format}, ${trackCount} tracks, ${notes.length} notes`);
+    return {
+        format: format,
+        ticksPerBeat: ticksPerBeat,
+        tempo: smpteTicksPerSecond ? 120 : tempos[0].bpm,
+        notes: notes
+    };
+}
+
+/**
+ * Map MIDI notes onto strings
+ * - 'exact': the string tuned to the note (nearest 12-TET note), closest in cents if several
+ * - 'nearest': the string nearest in pitch, within MIDI_CONSTANTS.NEAREST_MAX_CENTS
+ * - 'scale': scale degrees - the file's k-th lowest pitch plays the k-th string up from the
+ *   string nearest its lowest pitch, so a piece keeps its shape on a microtonal or non-12 tuning
+ *
+ * @param {Array<object>} notes - From parseMidiFile
+ * @param {Array<HarpString>} strings - Strings to play on
+ * @param {string} mode - 'exact', 'nearest' or 'scale'
+ * @returns {object} - {notes: [note with stringIndex], unmatched: [note]}
+ */
+function mapMidiNotesToStrings(notes, strings, mode) {
+    const mapped = [];
+    const unmatched = [];
+
+    // Strings from low to high, for the nearest and scale degree lookups
+    const byPitch = strings.map((string, index) => ({ index: index, midi: string.actualMidiNote }))
+        .sort((a, b) => a.midi - b.midi);
+
+    const nearestString = midi => byPitch.reduce((best, s) =>
+        Math.abs(s.midi - midi) < Math.abs(best.midi - midi) ? s : best);
+
+    let degreeStrings = null;
+    if (mode === 'scale' && notes.length > 0 && byPitch.length > 0) {
+        const pitches = Array.from(new Set(notes.map(note => note.midi))).sort((a, b) => a - b);
+        // Start lower if the piece would run off the top string
+        const first = Math.max(0, Math.min(byPitch.indexOf(nearestString(pitches[0])), byPitch.length - pitches.length));
+        degreeStrings = {};
+        pitches.forEach((pitch, degree) => {
+            if (byPitch[first + degree]) degreeStrings[pitch] = byPitch[first + degree].index;
+        });
+    }
+
+    notes.forEach(note => {
+        let stringIndex = -1;
+
+        if (byPitch.length > 0) {
+            if (mode === 'exact') {
+                const matches = byPitch.filter(s => Math.round(s.midi) === note.midi);
+                if (matches.length > 0) {
+                    stringIndex = matches.reduce((best, s) =>
+                        Math.abs(s.midi - note.midi) < Math.abs(best.midi - note.midi) ? s : best).index;
+                }
+            } else if (mode === 'nearest') {
+                const nearest = nearestString(note.midi);
+                if (Math.abs(nearest.midi - note.midi) * 100 <= MIDI_CONSTANTS.NEAREST_MAX_CENTS) {
+                    stringIndex = nearest.index;
+                }
+            } else if (degreeStrings && degreeStrings[note.midi] !== undefined) {
+                stringIndex = degreeStrings[note.midi];
+            }
+        }
+
+        if (stringIndex === -1) {
+            unmatched.push(note);
+        } else {
+            mapped.push(Object.assign({}, note, { stringIndex: stringIndex }));
+        }
+    });
+
+    console.log(`MIDI mapping (${mode}): ${mapped.length} notes on strings, ${unmatched.length} unmatched`);
+    return { notes: mapped, unmatched: unmatched };
+}
+
+/**
+ * Turn mapped MIDI notes into sequencer steps: notes starting together become a chord,
+ * and each step lasts until the next onset
+ * Onsets come from the tempo-mapped note times, so tempo changes in the file keep their timing
+ * when the sequence plays at one tempo.
+ *
+ * @param {Array<object>} notes - Mapped notes with stringIndex, sorted by time
+ * @param {number} tempo - BPM the sequence will play at
+ * @returns {Array<object>} - Steps [{strings, beats, velocity}] for the sequencer
+ */
+function midiNotesToSteps(notes, tempo) {
+    const toBeats = seconds => seconds * tempo / 60;
+
+    const chords = [];
+    notes.forEach(note => {
+        const last = chords[chords.length - 1];
+        if (last && toBeats(note.time - last.time) <= MIDI_CONSTANTS.CHORD_WINDOW_BEATS) {
+            last.notes.push(note);
+        } else {
+            chords.push({ time: note.time, notes: [note] });
+        }
+    });
+
+    const steps = [];
+    if (chords.length > 0 && chords[0].time > 0) {
+        steps.push({ strings: [], beats: toBeats(chords[0].time), velocity: null });
+    }
+
+    chords.forEach((chord, i) => {
+        // The last chord lasts as long as its longest note
+        const next = chords[i + 1];
+        const seconds = next ? next.time - chord.time : Math.max(...chord.notes.map(note => note.duration));
+
+        steps.push({
+            strings: Array.from(new Set(chord.notes.map(note => note.stringIndex))),
+            beats: Math.max(toBeats(seconds), MIDI_CONSTANTS.CHORD_WINDOW_BEATS),
+            velocity: Math.max(...chord.notes.map(note => note.velocity))
+        });
+    });
+
+    return steps;
+}
+
+/**
+ * Encode note events as a type 0 Standard MIDI File
+ * Each note's distance from 12-TET goes out as pitch bend. Bend applies to a whole channel,
+ * so notes rotate over the melodic channels and ring on their own channel.
+ *
+ * @param {Array<object>} events - [{time, frequency, duration, velocity}] (seconds), e.g. a recording
+ * @param {number} tempo - BPM written to the file
+ * @returns {Uint8Array} - File contents
+ */
+function encodeMidiFile(events, tempo) {
+    const ppq = MIDI_CONSTANTS.EXPORT_PPQ;
+    const toTicks = seconds => Math.max(0, Math.round(seconds * tempo / 60 * ppq));
+    const channels = [];
+    for (let channel = 0; channel < 16; channel++) {
+        if (channel !== MIDI_CONSTANTS.DRUM_CHANNEL) channels.push({ channel: channel, freeAt: 0 });
+    }
+
+    const messages = []; // {ticks, order, bytes}; order puts note-offs before note-ons at the same tick
+
+    // Pitch bend range (RPN 0) on every channel
+    channels.forEach(({ channel }) => {
+        const cc = (controller, value) => messages.push({ ticks: 0, order: 0, bytes: [0xb0 | channel, controller, value] });
+        cc(101, 0);
+        cc(100, 0);
+        cc(6, MIDI_CONSTANTS.PITCH_BEND_RANGE);
+        cc(38, 0);
+        cc(101, 127);
+        cc(100, 127);
+    });
+
+    let shared = 0;
+    events.slice().sort((a, b) => a.time - b.time).forEach(event => {
+        const exact = frequencyToMidi(event.frequency);
+        const midi = clamp(Math.round(exact), 0, 127);
+        const start = toTicks(event.time);
+        const end = Math.max(start + 1, toTicks(event.time + event.duration));
+
+        // Least recently used channel; sharing a still-ringing channel bends its note too
+        const slot = channels.reduce((best, c) => c.freeAt < best.freeAt ? c : best);
+        if (slot.freeAt > start) shared++;
+        slot.freeAt = end;
+
+        const bend = clamp(Math.round(8192 + (exact - midi) / MIDI_CONSTANTS.PITCH_BEND_RANGE * 8192), 0, 16383);
+        const velocity = clamp(Math.round(event.velocity * 127), 1, 127);
+        messages.push({ ticks: start, order: 1, bytes: [0xe0 | slot.channel, bend & 0x7f, bend >> 7] });
+        messages.push({ ticks: start, order: 2, bytes: [0x90 | slot.channel, midi, velocity] });
+        messages.push({ ticks: end, order: 0, bytes: [0x80 | slot.channel, midi, 0] });
+    });
+
+    if (shared > 0) {
+        console.warn(`MIDI export: ${shared} notes share a channel with a ringing note, so their bends interact`);
+    }
+
+    messages.sort((a, b) => a.ticks - b.ticks || a.order - b.order);
+
+    const track = [];
+    const writeVarLength = value => {
+        const groups = [value & 0x7f];
+        while ((value >>= 7) > 0) groups.unshift((value & 0x7f) | 0x80);
+        track.push(...groups);
+    };
+
+    const name = Array.from('Wall Harp').map(c => c.charCodeAt(0));
+    const microsecondsPerBeat = Math.round(60000000 / tempo);
+    writeVarLength(0);
+    track.push(0xff, 0x03, name.length, ...name);
+    writeVarLength(0);
+    track.push(0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff);
+
+    let lastTicks = 0;
+    messages.forEach(message => {
+        writeVarLength(message.ticks - lastTicks);
+        track.push(...message.bytes);
+        lastTicks = message.ticks;
+    });
+    writeVarLength(0);
+    track.push(0xff, 0x2f, 0x00);
+
+    const file = new Uint8Array(14 + 8 + track.length);
+    const view = new DataView(file.buffer);
+    file.set([0x4d, 0x54, 0x68, 0x64], 0); // MThd
+    view.setUint32(4, 6);
+    view.setUint16(8, 0); // Type 0
+    view.setUint16(10, 1);
+    view.setUint16(12, ppq);
+    file.set([0x4d, 0x54, 0x72, 0x6b], 14); // MTrk
+    view.setUint32(18, track.length);
+    file.set(track, 22);
+
+    return file;
+}
+
+function downloadMidiFile(events, tempo) {
+    const blob = new Blob([encodeMidiFile(events, tempo)], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = 'wall-harp-' + timestamp + '.mid';
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+    console.log("MIDI file downloaded:", filename);
+}
+
+// Export for ES6 modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseMidiFile, mapMidiNotesToStrings, midiNotesToSteps, encodeMidiFile, downloadMidiFile };
+}
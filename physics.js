@@ -34,6 +34,16 @@ function calculateLengthFromFrequency(frequency, material, gauge, tension) {
     return lengthM * 1000; // Convert to mm
 }
 
+/**
+ * Calculate the frequency of partial n of a stiff string
+ * Formula: fn = n * f0 * sqrt(1 + B * n²)
+ * f0 is the ideal (flexible string) fundamental v / (2L)
+ */
+function calculateStiffPartialFrequency(idealFundamental, partialNumber, inharmonicity) {
+    const n = partialNumber;
+    return n * idealFundamental * Math.sqrt(1 + inharmonicity * n * n);
+}
+
 /**
  * Convert frequency to MIDI note number
  */
@@ -59,6 +69,21 @@ function midiToNoteName(midiNote) {
     return `${noteName}${octave}`;
 }
 
+/**
+ * Convert note name to MIDI note (e.g. "C4", "F#5", "Bb2")
+ *
+ * @param {string} noteName - Note letter, optional # or b, octave
+ * @returns {number|null} - MIDI note, or null if the name is invalid
+ */
+function noteNameToMidi(noteName) {
+    const match = String(noteName).trim().match(/^([A-G])(#|b)?(-?\d+)$/i);
+    if (!match) return null;
+
+    const semitones = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+    const accidental = match[2] === '#' ? 1 : (match[2] === 'b' ? -1 : 0);
+    return (parseInt(match[3]) + 1) * 12 + semitones[match[1].toUpperCase()] + accidental;
+}
+
 /**
  * Get cents deviation from nearest semitone
  */
@@ -79,6 +104,46 @@ function getDetailedNoteInfo(midiNote) {
     return { noteName, cents, isInTune };
 }
 
+/**
+ * Classify tensile stress against material limits
+ * Returns 'break' at or above breaking strength, 'yield' at or above yield strength,
+ * 'low' when the safety factor is under the required minimum, otherwise 'ok'
+ */
+function getStressStatus(material, stress, requiredSafetyFactor) {
+    const mat = STRING_MATERIALS[material];
+    requiredSafetyFactor = requiredSafetyFactor || PHYSICS_CONSTANTS.SAFETY_FACTOR;
+
+    if (stress >= mat.breakingStrength) return 'break';
+    if (stress >= mat.yieldStrength) return 'yield';
+    if (mat.breakingStrength / stress < requiredSafetyFactor) return 'low';
+    return 'ok';
+}
+
+/**
+ * Find how strongly a plucked note drives another string sympathetically
+ * Compares harmonic partials of both notes; the closest coincidence wins, weighted
+ * by a Gaussian on the cents mismatch and by 1/sqrt(m·n) for higher partials.
+ * Returns {strength 0-1, sourcePartial, targetPartial, frequency, cents}
+ */
+function calculateSympatheticMatch(sourceFrequency, targetFrequency, partialCount, toleranceCents) {
+    partialCount = partialCount || AUDIO_CONSTANTS.SYMPATHETIC_PARTIALS;
+    toleranceCents = toleranceCents || AUDIO_CONSTANTS.SYMPATHETIC_TOLERANCE_CENTS;
+
+    let best = { strength: 0, sourcePartial: 0, targetPartial: 0, frequency: 0, cents: Infinity };
+
+    for (let m = 1; m <= partialCount; m++) {
+        for (let n = 1; n <= partialCount; n++) {
+            const cents = 1200 * Math.log2((m * sourceFrequency) / (n * targetFrequency));
+            const strength = Math.exp(-Math.pow(cents / toleranceCents, 2)) / Math.sqrt(m * n);
+            if (strength > best.strength) {
+                best = { strength: strength, sourcePartial: m, targetPartial: n, frequency: n * targetFrequency, cents: cents };
+            }
+        }
+    }
+
+    return best;
+}
+
 /**
  * Clamp value between min and max
  */
@@ -146,6 +211,42 @@ function runPhysicsTests() {
         failed++;
     }
 
+    // Test 6: Short heavy steel string is stretched by stiffness
+    const B = PHYSICS_CONSTANTS.calculateInharmonicity('steel', 'extraHeavy', 120, 100);
+    const stiffFundamental = calculateStiffPartialFrequency(1000, 1, B);
+    const stiffOctave = calculateStiffPartialFrequency(1000, 2, B);
+    if (B > 0.01 && stiffFundamental > 1000 && stiffOctave > 2 * stiffFundamental) {
+        console.log("✓ Test 6 PASSED: Inharmonicity B = " + B.toExponential(2));
+        passed++;
+    } else {
+        console.error("✗ Test 6 FAILED: Inharmonicity B = " + B.toExponential(2) + " (expected > 1e-2)");
+        failed++;
+    }
+
+    // Test 7: Thin steel at 150N is past breaking, medium steel at 120N is safe
+    const thinStress = PHYSICS_CONSTANTS.calculateStress('extraLight', 150);
+    const mediumStress = PHYSICS_CONSTANTS.calculateStress('medium', 120);
+    if (getStressStatus('steel', thinStress, 1.5) === 'break' && getStressStatus('steel', mediumStress, 1.5) === 'ok') {
+        console.log("✓ Test 7 PASSED: 0.25mm steel @ 150N = " + (thinStress / 1e6).toFixed(0) + " MPa");
+        passed++;
+    } else {
+        console.error("✗ Test 7 FAILED: 0.25mm steel @ 150N = " + (thinStress / 1e6).toFixed(0) + " MPa (expected above breaking strength)");
+        failed++;
+    }
+
+    // Test 8: An octave below drives a string harder than a semitone away
+    const octaveMatch = calculateSympatheticMatch(220, 440);
+    const semitoneMatch = calculateSympatheticMatch(440, 466.16);
+    if (octaveMatch.strength > 0.5 && semitoneMatch.strength < 0.1) {
+        console.log("✓ Test 8 PASSED: Sympathetic octave = " + octaveMatch.strength.toFixed(2) +
+            ", semitone = " + semitoneMatch.strength.toFixed(3));
+        passed++;
+    } else {
+        console.error("✗ Test 8 FAILED: Sympathetic octave = " + octaveMatch.strength.toFixed(2) +
+            ", semitone = " + semitoneMatch.strength.toFixed(3));
+        failed++;
+    }
+
     console.log("\nResults: " + passed + "/" + (passed + failed) + " passed");
 
     if (failed === 0) {
@@ -0,0 +1,611 @@
+/**
+ * WALL HARP SIMULATOR - PIANO ROLL
+ * Step-grid editor for the sequencer: time across, strings down.
+ * Hits are the sequencer's own steps - a hit lasts until the next step starts, and
+ * the strings of a chord share its length and velocity.
+ */
+
+const PIANO_ROLL_EPSILON = 1e-6; // Beats; onsets are sums of fractions
+
+class PianoRoll {
+    /**
+     * @param {Sequencer} sequencer - Sequencer whose steps are shown and edited
+     */
+    constructor(sequencer) {
+        this.sequencer = sequencer;
+        this.appReference = null; // Reference to main app
+        this.p5Instance = null;
+        this.containerId = null;
+        this.visible = false;
+        this.beatWidth = VISUAL_CONSTANTS.PIANO_ROLL_BEAT_WIDTH; // Pixels per beat
+        this.snap = VISUAL_CONSTANTS.PIANO_ROLL_DEFAULT_SNAP; // Beats
+        this.scrollX = 0; // Pixels
+        this.scrollY = 0; // Pixels
+        this.drag = null; // {type: 'length' | 'velocity' | 'loop', ...} while the mouse is down
+        this.onChange = null; // Called after each edit, e.g. to rewrite the sequence text
+    }
+
+    /**
+     * Set reference to main app
+     * @param {object} app - Main application instance
+     */
+    setApp(app) {
+        this.appReference = app;
+    }
+
+    /**
+     * Show the editor, creating its canvas the first time
+     * @param {string} containerId - Element to put the canvas in
+     */
+    show(containerId) {
+        this.visible = true;
+
+        if (!this.p5Instance) {
+            this.containerId = containerId;
+            this.p5Instance = new p5(p => this._sketch(p));
+        } else {
+            this.p5Instance.loop();
+        }
+    }
+
+    /**
+     * Hide the editor and stop drawing it
+     */
+    hide() {
+        this.visible = false;
+        this.drag = null;
+        if (this.p5Instance) {
+            this.p5Instance.noLoop();
+        }
+    }
+
+    /**
+     * Zoom the time axis
+     * @param {number} factor - Multiplier for the beat width
+     * @param {number} anchorX - Canvas x that stays on the same beat (optional)
+     */
+    setZoom(factor, anchorX) {
+        const x = anchorX !== undefined ? anchorX : VISUAL_CONSTANTS.PIANO_ROLL_LABEL_WIDTH;
+        const beat = this._xToBeat(x);
+
+        this.beatWidth = clamp(this.beatWidth * factor,
+            VISUAL_CONSTANTS.PIANO_ROLL_MIN_BEAT_WIDTH, VISUAL_CONSTANTS.PIANO_ROLL_MAX_BEAT_WIDTH);
+        this.scrollX = Math.max(0, beat * this.beatWidth - (x - VISUAL_CONSTANTS.PIANO_ROLL_LABEL_WIDTH));
+    }
+
+    /**
+     * Set the grid that new hits, lengths and loop regions snap to
+     * @param {number} beats - Grid size in beats
+     */
+    setSnap(beats) {
+        this.snap = beats;
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Add a hit on a string; a hit inside a step splits it there
+     * @param {number} stringIndex - String index
+     * @param {number} beat - Start in beats
+     * @returns {number} - Index of the step holding the hit
+     */
+    addHit(stringIndex, beat) {
+        const steps = this._copySteps();
+        const onsets = getStepOnsets(steps);
+        const total = onsets.length > 0 ? onsets[onsets.length - 1] + steps[steps.length - 1].beats : 0;
+        let index;
+
+        if (beat >= total - PIANO_ROLL_EPSILON) {
+            if (beat > total + PIANO_ROLL_EPSILON) {
+                steps.push({ strings: [], beats: beat - total, velocity: null });
+            }
+            steps.push({ strings: [stringIndex], beats: this.snap, velocity: null });
+            index = steps.length - 1;
+        } else {
+            index = findStepAt(steps, onsets, beat);
+            const step = steps[index];
+
+            if (Math.abs(onsets[index] - beat) < PIANO_ROLL_EPSILON) {
+                if (!step.strings.includes(stringIndex)) {
+                    step.strings.push(stringIndex);
+                    step.strings.sort((a, b) => a - b);
+                }
+            } else {
+                const remaining = onsets[index] + step.beats - beat;
+                step.beats = beat - onsets[index];
+                index++;
+                steps.splice(index, 0, { strings: [stringIndex], beats: remaining, velocity: null });
+            }
+        }
+
+        this._commit(steps);
+        return index;
+    }
+
+    /**
+     * Remove a hit; a step left with no strings becomes a rest, joined to rests beside it
+     * @param {number} index - Step index
+     * @param {number} stringIndex - String index
+     */
+    removeHit(index, stringIndex) {
+        const steps = this._copySteps();
+        const step = steps[index];
+        if (!step) return;
+
+        step.strings = step.strings.filter(i => i !== stringIndex);
+
+        if (step.strings.length === 0) {
+            step.velocity = null;
+            const next = steps[index + 1];
+            if (next && next.strings.length === 0) {
+                step.beats += next.beats;
+                steps.splice(index + 1, 1);
+            }
+            const previous = steps[index - 1];
+            if (previous && previous.strings.length === 0) {
+                previous.beats += step.beats;
+                steps.splice(index, 1);
+            }
+        }
+
+        this._commit(steps);
+    }
+
+    /**
+     * Change how long a step lasts without moving later steps
+     * The time comes from the rest after it (a rest is inserted when shortening up to a hit),
+     * so it can grow only until the next hit; the last step grows the sequence.
+     * @param {number} index - Step index
+     * @param {number} beats - New length in beats
+     */
+    setStepLength(index, beats) {
+        const steps = this._copySteps();
+        const step = steps[index];
+        if (!step || !(beats > 0)) return;
+
+        const next = steps[index + 1];
+        if (next) {
+            // Beats until the next hit, which stays where it is
+            const rest = next.strings.length === 0 ? next : null;
+            const available = step.beats + (rest ? rest.beats : 0);
+            beats = Math.min(beats, available);
+
+            if (rest) {
+                rest.beats = available - beats;
+                if (rest.beats < PIANO_ROLL_EPSILON) steps.splice(index + 1, 1);
+            } else if (available - beats >= PIANO_ROLL_EPSILON) {
+                steps.splice(index + 1, 0, { strings: [], beats: available - beats, velocity: null });
+            }
+        }
+
+        if (Math.abs(step.beats - beats) < PIANO_ROLL_EPSILON) return;
+        step.beats = beats;
+        this._commit(steps);
+    }
+
+    /**
+     * Set the velocity of a step
+     * @param {number} index - Step index
+     * @param {number|null} velocity - Velocity 0-1, or null for the default
+     */
+    setStepVelocity(index, velocity) {
+        const steps = this._copySteps();
+        if (!steps[index] || steps[index].strings.length === 0) return;
+
+        steps[index].velocity = velocity;
+        this._commit(steps);
+    }
+
+    /**
+     * Copy the sequencer's steps for editing
+     * @returns {Array<object>} - Steps
+     * @private
+     */
+    _copySteps() {
+        return this.sequencer.sequence.map(step => Object.assign({}, step, { strings: step.strings.slice() }));
+    }
+
+    /**
+     * Hand edited steps to the sequencer
+     * @param {Array<object>} steps - Steps
+     * @private
+     */
+    _commit(steps) {
+        this.sequencer.setSteps(steps);
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // ===== LAYOUT =====
+
+    _beatToX(beat) {
+        return VISUAL_CONSTANTS.PIANO_ROLL_LABEL_WIDTH + beat * this.beatWidth - this.scrollX;
+    }
+
+    _xToBeat(x) {
+        return (x - VISUAL_CONSTANTS.PIANO_ROLL_LABEL_WIDTH + this.scrollX) / this.beatWidth;
+    }
+
+    _rowToY(row) {
+        return VISUAL_CONSTANTS.PIANO_ROLL_RULER_HEIGHT + row * VISUAL_CONSTANTS.PIANO_ROLL_ROW_HEIGHT - this.scrollY;
+    }
+
+    _yToRow(y) {
+        return Math.floor((y - VISUAL_CONSTANTS.PIANO_ROLL_RULER_HEIGHT + this.scrollY) / VISUAL_CONSTANTS.PIANO_ROLL_ROW_HEIGHT);
+    }
+
+    _snapBeat(beat) {
+        return Math.max(0, Math.round(beat / this.snap) * this.snap);
+    }
+
+    _clampScroll(p) {
+        const strings = this.appReference ? this.appReference.strings : [];
+        const gridHeight = p.height - VISUAL_CONSTANTS.PIANO_ROLL_RULER_HEIGHT - VISUAL_CONSTANTS.PIANO_ROLL_VELOCITY_HEIGHT;
+        const maxScrollY = Math.max(0, strings.length * VISUAL_CONSTANTS.PIANO_ROLL_ROW_HEIGHT - gridHeight);
+        this.scrollX = Math.max(0, this.scrollX);
+        this.scrollY = clamp(this.scrollY, 0, maxScrollY);
+    }
+
+    // ===== P5 SKETCH =====
+
+    /**
+     * Set up the editor's p5 instance; mouse handling uses DOM events on the canvas
+     * so presses in the editor never reach the main sketch
+     * @param {p5} p - p5.js instance
+     * @private
+     */
+    _sketch(p) {
+        const size = () => {
+            const container = document.getElementById(this.containerId);
+            return [container.clientWidth || window.innerWidth, VISUAL_CONSTANTS.PIANO_ROLL_HEIGHT];
+        };
+
+        p.setup = () => {
+            const canvas = p.createCanvas(...size());
+            canvas.parent(this.containerId);
+            p.textFont('JetBrains Mono, monospace');
+
+            const elt = canvas.elt;
+            const position = event => {
+                const rect = elt.getBoundingClientRect();
+                return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+            };
+
+            elt.addEventListener('mousedown', (event) => {
+                event.stopPropagation();
+                event.preventDefault();
+                const { x, y } = position(event);
+                this._handleMousePressed(x, y);
+            });
+
+            window.addEventListener('mousemove', (event) => {
+                const { x, y } = position(event);
+                if (this.drag) {
+                    this._handleMouseDragged(x, y);
+                } else if (event.target === elt) {
+                    elt.style.cursor = this._isOnHitEnd(x, y) ? 'ew-resize' : 'default';
+                }
+            });
+
+            window.addEventListener('mouseup', () => {
+                this._handleMouseReleased();
+            });
+
+            elt.addEventListener('wheel', (event) => {
+                event.stopPropagation();
+                event.preventDefault();
+                this._handleWheel(event, position(event).x, p);
+            }, { passive: false });
+
+            console.log("✓ Piano roll created:", p.width, "x", p.height);
+        };
+
+        p.draw = () => {
+            // Follow the panel's width, which changes with the window and the sidebar
+            const [width, height] = size();
+            if (width !== p.width) {
+                p.resizeCanvas(width, height);
+            }
+            this._draw(p);
+        };
+    }
+
+    /**
+     * Draw the grid, hits, velocity lane, string labels and ruler
+     * @param {p5} p - p5.js instance
+     * @private
+     */
+    _draw(p) {
+        const strings = this.appReference ? this.appReference.strings : [];
+        const steps = this.sequencer.sequence;
+        const onsets = getStepOnsets(steps);
+        const total = this.sequencer.getTotalBeats();
+        const region = this.sequencer.loopRegion;
+        const loopColor = VISUAL_CONSTANTS.PIANO_ROLL_LOOP_COLOR;
+
+        const left = VISUAL_CONSTANTS.PIANO_ROLL_LABEL_WIDTH;
+        const rulerHeight = VISUAL_CONSTANTS.PIANO_ROLL_RULER_HEIGHT;
+        const rowHeight = VISUAL_CONSTANTS.PIANO_ROLL_ROW_HEIGHT;
+        const laneTop = p.height - VISUAL_CONSTANTS.PIANO_ROLL_VELOCITY_HEIGHT;
+        const laneHeight = VISUAL_CONSTANTS.PIANO_ROLL_VELOCITY_HEIGHT;
+
+        this._clampScroll(p);
+        p.background(255);
+        p.textSize(9);
+
+        // Rows, shaded on alternate strings
+        p.noStroke();
+        strings.forEach((string, row) => {
+            const y = this._rowToY(row);
+            if (y + rowHeight < rulerHeight || y > laneTop) return;
+            p.fill(row % 2 === 0 ? 250 : 242);
+            p.rect(left, y, p.width - left, rowHeight);
+        });
+
+        // Past the end of the sequence
+        const endX = this._beatToX(total);
+        if (endX < p.width) {
+            p.fill(0, 0, 0, 12);
+            p.rect(Math.max(left, endX), rulerHeight, p.width, laneTop - rulerHeight);
+        }
+
+        if (region) {
+            p.fill(loopColor[0], loopColor[1], loopColor[2], 20);
+            p.rect(this._beatToX(region.start), rulerHeight, (region.end - region.start) * this.beatWidth, p.height);
+        }
+
+        // Grid lines: snap divisions, beats, and every fourth beat
+        const firstBeat = Math.floor(this._xToBeat(left));
+        const lastBeat = Math.ceil(this._xToBeat(p.width));
+        const divisions = this.snap * this.beatWidth >= 4 ? Math.round(1 / this.snap) : 1;
+        for (let beat = firstBeat; beat <= lastBeat; beat++) {
+            for (let d = 0; d < divisions; d++) {
+                const x = this._beatToX(beat + d / divisions);
+                if (x < left) continue;
+                p.stroke(d > 0 ? 232 : (beat % 4 === 0 ? 160 : 205));
+                p.line(x, rulerHeight, x, p.height);
+            }
+        }
+        p.stroke(0);
+        if (endX >= left) p.line(endX, rulerHeight, endX, laneTop);
+
+        // Hits; the step being heard is drawn in the loop colour
+        const soundingStep = this.sequencer.soundingStep;
+        p.noStroke();
+        steps.forEach((step, index) => {
+            const x = this._beatToX(onsets[index]);
+            const w = Math.max(2, step.beats * this.beatWidth - 1);
+            if (x + w < left || x > p.width) return;
+
+            const velocity = step.velocity || AUDIO_CONSTANTS.DEFAULT_VELOCITY;
+            step.strings.forEach(stringIndex => {
+                const y = this._rowToY(stringIndex);
+                if (y + rowHeight < rulerHeight || y > laneTop) return;
+
+                if (index === soundingStep) {
+                    p.fill(loopColor[0], loopColor[1], loopColor[2]);
+                } else {
+                    p.fill(0, 0, 0, 90 + 165 * velocity);
+                }
+                p.rect(x, y + 1, w, rowHeight - 2);
+            });
+        });
+
+        // Velocity lane: one bar per step, lighter where the step uses the default velocity
+        p.fill(255);
+        p.stroke(0);
+        p.rect(0, laneTop, p.width, laneHeight);
+        p.noStroke();
+        steps.forEach((step, index) => {
+            if (step.strings.length === 0) return;
+            const x = this._beatToX(onsets[index]);
+            if (x < left || x > p.width) return;
+
+            const velocity = step.velocity || AUDIO_CONSTANTS.DEFAULT_VELOCITY;
+            const h = velocity * (laneHeight - 6);
+            p.fill(step.velocity ? 60 : 170);
+            p.rect(x, p.height - 3 - h, Math.max(3, Math.min(step.beats * this.beatWidth - 2, 10)), h);
+        });
+
+        // Playhead
+        const playbackBeat = this.sequencer.getPlaybackBeat();
+        if (playbackBeat !== null) {
+            const x = this._beatToX(playbackBeat);
+            if (x >= left) {
+                p.stroke(loopColor[0], loopColor[1], loopColor[2]);
+                p.strokeWeight(2);
+                p.line(x, 0, x, p.height);
+                p.strokeWeight(1);
+            }
+        }
+
+        // String labels, drawn over the grid's left edge
+        p.noStroke();
+        p.fill(255);
+        p.rect(0, rulerHeight, left, laneTop - rulerHeight);
+        p.textAlign(p.LEFT, p.CENTER);
+        strings.forEach((string, row) => {
+            const y = this._rowToY(row);
+            if (y + rowHeight < rulerHeight || y > laneTop) return;
+            p.fill(0);
+            p.text(`${row + 1} ${string.noteName}`, 4, y + rowHeight / 2);
+        });
+        p.fill(0);
+        p.text('VEL', 4, laneTop + laneHeight / 2);
+
+        // Ruler with beat numbers and the loop region
+        p.fill(245);
+        p.rect(0, 0, p.width, rulerHeight);
+        if (region) {
+            const x = Math.max(left, this._beatToX(region.start));
+            const w = this._beatToX(region.end) - x;
+            if (w > 0) {
+                p.fill(loopColor[0], loopColor[1], loopColor[2], 160);
+                p.rect(x, 2, w, rulerHeight - 4);
+            }
+        }
+        p.fill(0);
+        p.textAlign(p.LEFT, p.CENTER);
+        const labelEvery = Math.max(1, Math.ceil(30 / this.beatWidth));
+        for (let beat = Math.max(0, firstBeat); beat <= lastBeat; beat++) {
+            const x = this._beatToX(beat);
+            if (x >= left && beat % labelEvery === 0) {
+                p.text(beat + 1, x + 2, rulerHeight / 2);
+            }
+        }
+        p.text('LOOP', 4, rulerHeight / 2);
+
+        p.stroke(0);
+        p.line(0, rulerHeight, p.width, rulerHeight);
+        p.line(left, 0, left, p.height);
+    }
+
+    // ===== MOUSE =====
+
+    _handleMousePressed(x, y) {
+        const left = VISUAL_CONSTANTS.PIANO_ROLL_LABEL_WIDTH;
+        const laneTop = this.p5Instance.height - VISUAL_CONSTANTS.PIANO_ROLL_VELOCITY_HEIGHT;
+        if (x < left) return;
+
+        const beat = this._xToBeat(x);
+
+        // Ruler: drag out a loop region; a click without dragging clears it
+        if (y < VISUAL_CONSTANTS.PIANO_ROLL_RULER_HEIGHT) {
+            this.drag = { type: 'loop', start: this._snapBeat(beat) };
+            return;
+        }
+
+        if (y >= laneTop) {
+            this.drag = { type: 'velocity' };
+            this._handleMouseDragged(x, y);
+            return;
+        }
+
+        const stringIndex = this._yToRow(y);
+        const strings = this.appReference ? this.appReference.strings : [];
+        if (stringIndex < 0 || stringIndex >= strings.length) return;
+
+        const steps = this.sequencer.sequence;
+        const onsets = getStepOnsets(steps);
+        const index = findStepAt(steps, onsets, beat);
+
+        // On a hit: its end drags the length, anywhere else removes it
+        if (index !== -1 && steps[index].strings.includes(stringIndex)) {
+            if (this._isOnHitEnd(x, y)) {
+                this.drag = { type: 'length', index: index, onset: onsets[index] };
+            } else {
+                this.removeHit(index, stringIndex);
+            }
+            return;
+        }
+
+        // Add a hit at the grid line before the mouse, then drag out its length
+        const start = Math.floor(beat / this.snap + PIANO_ROLL_EPSILON) * this.snap;
+        const added = this.addHit(stringIndex, start);
+        this.drag = { type: 'length', index: added, onset: start };
+    }
+
+    /**
+     * Check whether a point is on the end of a hit, where dragging changes its length
+     * @private
+     */
+    _isOnHitEnd(x, y) {
+        const steps = this.sequencer.sequence;
+        const onsets = getStepOnsets(steps);
+        const index = findStepAt(steps, onsets, this._xToBeat(x));
+        if (index === -1 || !steps[index].strings.includes(this._yToRow(y))) return false;
+
+        const endX = this._beatToX(onsets[index] + steps[index].beats);
+        return endX - x <= VISUAL_CONSTANTS.PIANO_ROLL_EDGE_GRAB;
+    }
+
+    _handleMouseDragged(x, y) {
+        const drag = this.drag;
+        const beat = this._xToBeat(x);
+
+        if (drag.type === 'loop') {
+            drag.end = this._snapBeat(beat);
+            this.sequencer.setLoopRegion(Math.min(drag.start, drag.end), Math.max(drag.start, drag.end));
+        } else if (drag.type === 'length') {
+            // At least one grid step long
+            const end = this._snapBeat(beat);
+            const beats = Math.max(this.snap, end - drag.onset);
+            const step = this.sequencer.sequence[drag.index];
+            if (step && Math.abs(step.beats - beats) > PIANO_ROLL_EPSILON) {
+                this.setStepLength(drag.index, beats);
+            }
+        } else if (drag.type === 'velocity') {
+            const steps = this.sequencer.sequence;
+            const index = findStepAt(steps, getStepOnsets(steps), beat);
+            const laneTop = this.p5Instance.height - VISUAL_CONSTANTS.PIANO_ROLL_VELOCITY_HEIGHT;
+            const velocity = clamp(1 - (y - laneTop) / VISUAL_CONSTANTS.PIANO_ROLL_VELOCITY_HEIGHT, 0.05, 1);
+            if (index !== -1 && steps[index].strings.length > 0) {
+                this.setStepVelocity(index, Math.round(velocity * 100) / 100);
+            }
+        }
+    }
+
+    _handleMouseReleased() {
+        if (this.drag && this.drag.type === 'loop' && this.drag.end === undefined) {
+            this.sequencer.setLoopRegion(null);
+        }
+        this.drag = null;
+    }
+
+    /**
+     * Wheel scrolls the strings, Shift+wheel scrolls time, Ctrl/Cmd+wheel zooms time
+     * @param {WheelEvent} event - Wheel event
+     * @param {number} x - Canvas x of the mouse
+     * @param {p5} p - p5.js instance
+     * @private
+     */
+    _handleWheel(event, x, p) {
+        if (event.ctrlKey || event.metaKey) {
+            this.setZoom(event.deltaY < 0 ? VISUAL_CONSTANTS.PIANO_ROLL_ZOOM_STEP : 1 / VISUAL_CONSTANTS.PIANO_ROLL_ZOOM_STEP, x);
+        } else if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+            this.scrollX += event.deltaX || event.deltaY;
+        } else {
+            this.scrollY += event.deltaY;
+        }
+        this._clampScroll(p);
+    }
+}
+
+/**
+ * Get the start of each step
+ * @param {Array<object>} steps - [{strings, beats, velocity}]
+ * @returns {Array<number>} - Onsets in beats
+ */
+function getStepOnsets(steps) {
+    let beat = 0;
+    return steps.map(step => {
+        const onset = beat;
+        beat += step.beats;
+        return onset;
+    });
+}
+
+/**
+ * Find the step sounding at a beat
+ * @param {Array<object>} steps - Steps
+ * @param {Array<number>} onsets - From getStepOnsets
+ * @param {number} beat - Beat
+ * @returns {number} - Step index, or -1 past the end
+ */
+function findStepAt(steps, onsets, beat) {
+    for (let i = 0; i < steps.length; i++) {
+        if (beat + PIANO_ROLL_EPSILON >= onsets[i] && beat + PIANO_ROLL_EPSILON < onsets[i] + steps[i].beats) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Create global piano roll instance
+const pianoRoll = new PianoRoll(sequencer);
+
+// Export for ES6 modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PianoRoll, pianoRoll, getStepOnsets, findStepAt };
+}
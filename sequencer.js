@@ -1,16 +1,19 @@
 /**
  * WALL HARP SIMULATOR - SEQUENCER
- * Plays strings in sequence with adjustable tempo
+ * Plays strings in sequence with adjustable tempo, scheduled on the Tone transport
  */
 
 class Sequencer {
     constructor() {
-        this.sequence = []; // Array of string indices
+        this.sequence = []; // Steps: [{strings: [string indices], beats, velocity}]; a rest has no strings
         this.tempo = 120; // BPM
         this.isPlaying = false;
-        this.currentStep = 0;
+        this.currentStep = 0; // Last step scheduled
+        this.soundingStep = -1; // Step being heard now, for the canvas highlight (-1 when stopped)
         this.loopEnabled = false;
-        this.intervalId = null;
+        this.loopRegion = null; // {start, end} in beats to loop instead of the whole sequence
+        this.eventIds = []; // Transport events of the current playback
+        this.parseError = null; // {line, column, message} of the last rejected sequence
         this.appReference = null; // Reference to main app
     }
 
@@ -23,35 +26,51 @@ class Sequencer {
     }
 
     /**
-     * Parse sequence string into array of string indices
-     * @param {string} sequenceString - Comma-separated string numbers (1-based)
-     * @returns {boolean} - True if valid
+     * Parse sequence notation into steps (see parseSequence)
+     * Playback carries on: unchanged steps leave it alone, changed ones are rescheduled.
+     * @param {string} sequenceString - Sequence text; plain comma-separated string numbers still work
+     * @returns {boolean} - True if valid; otherwise parseError says where it failed
      */
     setSequence(sequenceString) {
+        this.parseError = null;
+
         if (!sequenceString || sequenceString.trim() === '') {
-            this.sequence = [];
+            this.setSteps([]);
+            return false;
+        }
+
+        const strings = this.appReference ? this.appReference.strings : null;
+        const result = parseSequence(sequenceString, strings);
+        if (result.error) {
+            this.parseError = result.error;
+            console.error(`Sequence line ${result.error.line}, column ${result.error.column}: ${result.error.message}`);
             return false;
         }
 
-        try {
-            // Split by comma and parse to integers
-            const numbers = sequenceString.split(',').map(s => parseInt(s.trim()));
+        // Re-reading the same text (e.g. before a render or export) keeps the scheduled steps
+        if (JSON.stringify(result.steps) === JSON.stringify(this.sequence)) return true;
 
-            // Validate all numbers
-            const invalid = numbers.filter(n => isNaN(n) || n < 1);
-            if (invalid.length > 0) {
-                console.error('Invalid string numbers:', invalid);
-                return false;
-            }
+        this.setSteps(result.steps);
+        console.log(`Sequencer: Set sequence to ${this.sequence.length} steps (${this.getTotalBeats()} beats)`);
+        return true;
+    }
 
-            // Convert to 0-based indices
-            this.sequence = numbers.map(n => n - 1);
-            console.log('Sequencer: Set sequence to', this.sequence.map(i => i + 1));
-            return true;
-        } catch (error) {
-            console.error('Failed to parse sequence:', error);
-            return false;
+    /**
+     * Replace the steps, e.g. from the piano roll; playback carries on with the new steps
+     * @param {Array<object>} steps - [{strings, beats, velocity}]
+     */
+    setSteps(steps) {
+        this.sequence = steps;
+        this.parseError = null;
+
+        if (!this.isPlaying) return;
+
+        // The end event would be behind the transport and never fire
+        if (steps.length === 0 || (!this.loopEnabled && Tone.Transport.ticks >= this._ticks(this.getTotalBeats()))) {
+            this.stop();
+            return;
         }
+        this._schedule();
     }
 
     /**
@@ -61,10 +80,9 @@ class Sequencer {
     setTempo(bpm) {
         this.tempo = Math.max(40, Math.min(240, bpm));
 
-        // If already playing, restart with new tempo
+        // Steps sit at transport beat positions, so playback follows the new tempo from the next step
         if (this.isPlaying) {
-            this.stop();
-            this.play();
+            Tone.Transport.bpm.value = this.tempo;
         }
     }
 
@@ -74,44 +92,74 @@ class Sequencer {
      */
     setLoop(enabled) {
         this.loopEnabled = enabled;
+        if (this.isPlaying) {
+            Tone.Transport.loop = enabled;
+        }
         console.log('Sequencer: Loop', enabled ? 'ON' : 'OFF');
     }
 
+    /**
+     * Set the part of the sequence to loop, clamped to the sequence
+     * @param {number|null} start - Start in beats, or null to loop the whole sequence
+     * @param {number} end - End in beats
+     */
+    setLoopRegion(start, end) {
+        const total = this.getTotalBeats();
+        if (start !== null) {
+            start = Math.max(0, start);
+            end = Math.min(end, total);
+        }
+        this.loopRegion = (start !== null && end > start) ? { start: start, end: end } : null;
+
+        if (this.isPlaying) {
+            this._setTransportLoop();
+        }
+    }
+
+    /**
+     * Get the length of the sequence
+     * @returns {number} - Beats
+     */
+    getTotalBeats() {
+        return this.sequence.reduce((total, step) => total + step.beats, 0);
+    }
+
     /**
      * Start playback
+     * @returns {boolean} - True if playback started
      */
     play() {
         if (!this.appReference) {
             console.error('Sequencer: No app reference set');
-            return;
+            return false;
         }
 
         if (this.sequence.length === 0) {
             console.warn('Sequencer: No sequence set');
-            return;
+            return false;
         }
 
         if (this.isPlaying) {
             console.warn('Sequencer: Already playing');
-            return;
+            return false;
+        }
+
+        if (!audioEngine || !audioEngine.initialized) {
+            console.warn('Sequencer: Audio not initialized');
+            return false;
         }
 
         this.isPlaying = true;
         this.currentStep = 0;
+        this._schedule();
 
-        // Calculate interval in milliseconds
-        // 60000 ms per minute / BPM = ms per beat
-        const intervalMs = 60000 / this.tempo;
-
-        console.log(`Sequencer: Playing ${this.sequence.length} steps at ${this.tempo} BPM (${intervalMs.toFixed(0)}ms per step)`);
-
-        // Play first note immediately
-        this._playStep();
+        // A loop region starts playback at its start
+        Tone.Transport.bpm.value = this.tempo;
+        Tone.Transport.ticks = this.loopEnabled ? this._ticks(this._getLoopRange().start) : 0;
+        Tone.Transport.start();
 
-        // Set up interval for subsequent notes
-        this.intervalId = setInterval(() => {
-            this._playStep();
-        }, intervalMs);
+        console.log(`Sequencer: Playing ${this.sequence.length} steps at ${this.tempo} BPM`);
+        return true;
     }
 
     /**
@@ -124,73 +172,310 @@ class Sequencer {
 
         this.isPlaying = false;
         this.currentStep = 0;
+        this.soundingStep = -1;
 
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
+        this.eventIds.forEach(id => Tone.Transport.clear(id));
+        this.eventIds = [];
+        Tone.Transport.stop();
+        Tone.Transport.loop = false;
 
         console.log('Sequencer: Stopped');
     }
 
     /**
-     * Play current step
+     * Put the steps on the transport, replacing any already scheduled
      * @private
      */
-    _playStep() {
+    _schedule() {
+        this.eventIds.forEach(id => Tone.Transport.clear(id));
+
+        // The transport calls back ahead of time (Tone's look-ahead) with the exact
+        // audio time of each step, so UI load delays the callback but not the note
+        let beat = 0;
+        this.eventIds = this.sequence.map((step, index) => {
+            const id = Tone.Transport.schedule(time => this._playStep(index, time), this._ticks(beat) + 'i');
+            beat += step.beats;
+            return id;
+        });
+
+        // Reached only when not looping: the loop wraps just before the end
+        this.eventIds.push(Tone.Transport.schedule(() => {
+            this.stop();
+            console.log('Sequencer: Sequence complete');
+        }, this._ticks(beat) + 'i'));
+
+        this._setTransportLoop();
+    }
+
+    /**
+     * Loop the transport over the loop region, or the whole sequence
+     * @private
+     */
+    _setTransportLoop() {
+        const region = this._getLoopRange();
+        Tone.Transport.loopStart = this._ticks(region.start) + 'i';
+        Tone.Transport.loopEnd = this._ticks(region.end) + 'i';
+        Tone.Transport.loop = this.loopEnabled;
+    }
+
+    /**
+     * Get the beats to loop over
+     * The region is cut to the sequence, which may have shrunk since it was set: a loop past
+     * the end would reach the stop event or loop silence.
+     * @returns {object} - {start, end} in beats
+     * @private
+     */
+    _getLoopRange() {
+        const total = this.getTotalBeats();
+        const region = this.loopRegion;
+        if (!region || region.start >= total) return { start: 0, end: total };
+        return { start: region.start, end: Math.min(region.end, total) };
+    }
+
+    /**
+     * Convert beats to transport ticks; positions in ticks stretch with tempo changes
+     * @param {number} beats - Beats
+     * @returns {number} - Ticks
+     * @private
+     */
+    _ticks(beats) {
+        return Math.round(beats * Tone.Transport.PPQ);
+    }
+
+    /**
+     * Play one step
+     * @param {number} index - Step index
+     * @param {number} time - Audio context time of the step
+     * @private
+     */
+    _playStep(index, time) {
         if (!this.appReference || !this.appReference.strings) {
             this.stop();
             return;
         }
 
-        // Get string index for current step
-        const stringIndex = this.sequence[this.currentStep];
+        const step = this.sequence[index];
+        this.currentStep = index;
 
-        // Validate index
-        if (stringIndex < 0 || stringIndex >= this.appReference.strings.length) {
-            console.warn(`Sequencer: Invalid string index ${stringIndex + 1}`);
-        } else {
-            // Pluck the string
+        step.strings.forEach(stringIndex => {
             const string = this.appReference.strings[stringIndex];
-            string.pluck();
-            console.log(`Sequencer: Step ${this.currentStep + 1}/${this.sequence.length} - String ${stringIndex + 1}`);
-        }
-
-        // Advance to next step
-        this.currentStep++;
-
-        // Check if sequence is complete
-        if (this.currentStep >= this.sequence.length) {
-            if (this.loopEnabled) {
-                // Loop back to start
-                this.currentStep = 0;
-            } else {
-                // Stop playback
-                this.stop();
-                console.log('Sequencer: Sequence complete');
+            if (!string) {
+                console.warn(`Sequencer: Invalid string index ${stringIndex + 1}`);
+                return;
             }
-        }
+            string.pluck(undefined, step.velocity || undefined, undefined, time);
+        });
+        console.log(`Sequencer: Step ${index + 1}/${this.sequence.length} - ` +
+            (step.strings.length > 0 ? 'String ' + step.strings.map(i => i + 1).join('+') : 'rest'));
+
+        // Move the highlight when the step is heard, not when it is scheduled
+        Tone.Draw.schedule(() => {
+            if (this.isPlaying) this.soundingStep = index;
+        }, time);
+    }
+
+    /**
+     * Get the string indices of the step being heard
+     * @returns {Array<number>} - String indices (empty when stopped or on a rest)
+     */
+    getSoundingStrings() {
+        // The step may have been edited away while sounding
+        const step = this.sequence[this.soundingStep];
+        return step ? step.strings : [];
+    }
+
+    /**
+     * Get the transport position in beats, for the piano roll playhead
+     * @returns {number|null} - Beats, or null when stopped
+     */
+    getPlaybackBeat() {
+        return this.isPlaying ? Tone.Transport.ticks / Tone.Transport.PPQ : null;
+    }
+
+    /**
+     * Get the sequence as timed note events for offline rendering
+     * @returns {Array<object>} - [{time, stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm}]
+     */
+    getPerformance() {
+        if (!this.appReference || !this.appReference.strings) return [];
+
+        const beatSeconds = 60 / this.tempo;
+        const events = [];
+
+        let beat = 0;
+        this.sequence.forEach(step => {
+            step.strings.forEach(stringIndex => {
+                const string = this.appReference.strings[stringIndex];
+                if (!string) return;
+
+                string.getPluckNotes(undefined, step.velocity || undefined).forEach(note => {
+                    note.time = beat * beatSeconds;
+                    events.push(note);
+                });
+            });
+            beat += step.beats;
+        });
+
+        return events;
     }
 
     /**
      * Get current playback state
-     * @returns {object} - {isPlaying, currentStep, sequenceLength, tempo, loopEnabled}
+     * @returns {object} - {isPlaying, currentStep, soundingStep, sequenceLength, tempo, loopEnabled, loopRegion}
      */
     getState() {
         return {
             isPlaying: this.isPlaying,
             currentStep: this.currentStep,
+            soundingStep: this.soundingStep,
             sequenceLength: this.sequence.length,
             tempo: this.tempo,
-            loopEnabled: this.loopEnabled
+            loopEnabled: this.loopEnabled,
+            loopRegion: this.loopRegion
         };
     }
 }
 
+/**
+ * Parse sequence notation
+ * Steps are separated by commas, spaces or new lines. A step is a string number (1-based),
+ * a note name (played on the string tuned nearest to it), a rest "-", or a chord of those
+ * joined with "+", then optionally ":beats" (default 1, fractions like 1/2 allowed) and
+ * "@velocity" (0-1):
+ *   1, 3, 5, 7          string numbers, one beat each
+ *   C4:2@0.9 - E4:1/2   two-beat C4 at velocity 0.9, a rest, half-beat E4
+ *   C3+E3+G3:4          chord held for four beats
+ *
+ * @param {string} text - Sequence text
+ * @param {Array<HarpString>} strings - Strings to check numbers and resolve note names against (optional)
+ * @returns {object} - {steps: [{strings, beats, velocity}]}, or {error: {line, column, message}}
+ */
+function parseSequence(text, strings) {
+    const steps = [];
+
+    // Split into words, keeping where each starts
+    const words = [];
+    text.split('\n').forEach((lineText, lineIndex) => {
+        const pattern = /[^,\s]+/g;
+        let match;
+        while ((match = pattern.exec(lineText)) !== null) {
+            words.push({ text: match[0], line: lineIndex + 1, column: match.index + 1 });
+        }
+    });
+
+    if (words.length === 0) {
+        return { error: { line: 1, column: 1, message: 'Sequence is empty' } };
+    }
+
+    for (const word of words) {
+        const fail = (offset, message) => ({ error: { line: word.line, column: word.column + offset, message: message } });
+        let i = 0;
+        const step = { strings: [], beats: 1, velocity: null };
+
+        if (word.text[0] === '-') {
+            i = 1;
+        } else {
+            while (true) {
+                const match = word.text.slice(i).match(/^(\d+|[A-Ga-g](#|b)?-?\d+)/);
+                if (!match) {
+                    return fail(i, i < word.text.length
+                        ? `Expected a string number, note name or rest, got "${word.text.slice(i)}"`
+                        : 'Expected a string number or note name after "+"');
+                }
+
+                const stringIndex = resolveSequenceItem(match[0], strings);
+                if (typeof stringIndex === 'string') return fail(i, stringIndex);
+                step.strings.push(stringIndex);
+                i += match[0].length;
+
+                if (word.text[i] !== '+') break;
+                i++;
+            }
+        }
+
+        if (word.text[i] === ':') {
+            const match = word.text.slice(i + 1).match(/^(\d+(?:\.\d+)?)(?:\/(\d+))?/);
+            const beats = match ? parseFloat(match[1]) / (match[2] ? parseInt(match[2]) : 1) : NaN;
+            if (!match || !(beats > 0) || !isFinite(beats)) {
+                return fail(i + 1, 'Expected a positive number of beats after ":"');
+            }
+            step.beats = beats;
+            i += 1 + match[0].length;
+        }
+
+        if (word.text[i] === '@') {
+            const match = word.text.slice(i + 1).match(/^\d*\.?\d+/);
+            const velocity = match ? parseFloat(match[0]) : NaN;
+            if (!match || velocity <= 0 || velocity > 1) {
+                return fail(i + 1, 'Expected a velocity between 0 and 1 after "@"');
+            }
+            step.velocity = velocity;
+            i += 1 + match[0].length;
+        }
+
+        if (i < word.text.length) {
+            return fail(i, `Unexpected "${word.text.slice(i)}"`);
+        }
+
+        steps.push(step);
+    }
+
+    return { steps: steps };
+}
+
+/**
+ * Write steps back as sequence notation, with string numbers
+ *
+ * @param {Array<object>} steps - [{strings, beats, velocity}]
+ * @returns {string} - Notation that parseSequence reads back (beats and velocities to 4 decimals)
+ */
+function formatSequence(steps) {
+    const number = value => String(parseFloat(value.toFixed(4)));
+
+    return steps.map(step => {
+        let text = step.strings.length > 0 ? step.strings.map(i => i + 1).join('+') : '-';
+        if (step.beats !== 1) text += ':' + number(step.beats);
+        if (step.velocity) text += '@' + number(step.velocity);
+        return text;
+    }).join(', ');
+}
+
+/**
+ * Resolve a string number or note name to a string index
+ * @param {string} item - 1-based string number or note name
+ * @param {Array<HarpString>} strings - Strings (optional)
+ * @returns {number|string} - String index, or an error message
+ */
+function resolveSequenceItem(item, strings) {
+    if (/^\d+$/.test(item)) {
+        const number = parseInt(item);
+        if (number < 1) return 'String numbers start at 1';
+        if (strings && number > strings.length) return `There is no string ${number} (${strings.length} strings)`;
+        return number - 1;
+    }
+
+    if (!strings || strings.length === 0) return `No strings to play ${item} on`;
+
+    // Nearest-tuned string, in cents
+    const midi = noteNameToMidi(item);
+    let nearest = 0;
+    strings.forEach((string, index) => {
+        if (Math.abs(string.actualMidiNote - midi) < Math.abs(strings[nearest].actualMidiNote - midi)) {
+            nearest = index;
+        }
+    });
+
+    const cents = (strings[nearest].actualMidiNote - midi) * 100;
+    if (Math.abs(cents) > 50) {
+        console.warn(`Sequencer: No string tuned to ${item}, using string ${nearest + 1} (${cents.toFixed(0)}¢ off)`);
+    }
+    return nearest;
+}
+
 // Create global sequencer instance
 const sequencer = new Sequencer();
 
 // Export for ES6 modules (if needed)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Sequencer, sequencer };
+    module.exports = { Sequencer, sequencer, parseSequence, formatSequence };
 }
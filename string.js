@@ -12,6 +12,18 @@ class HarpString {
         this.material = material || PHYSICS_CONSTANTS.DEFAULT_MATERIAL;
         this.gauge = gauge || PHYSICS_CONSTANTS.DEFAULT_GAUGE;
         this.tension = tension || PHYSICS_CONSTANTS.DEFAULT_TENSION;
+        this.winding = PHYSICS_CONSTANTS.DEFAULT_WINDING;
+
+        // Tune by tension: keep capos fixed and solve tension for the target pitch
+        this.tuneByTension = false;
+
+        // Reverse capo mode: the span between capos is damped and the outer segments ring
+        this.reverseCapoMode = false;
+
+        // Damping: let the string ring out, or damp it a set time after each pluck
+        this.letRing = true;
+        this.dampAfter = AUDIO_CONSTANTS.DEFAULT_DAMP_AFTER;     // seconds
+        this.dampRelease = AUDIO_CONSTANTS.DEFAULT_DAMP_RELEASE; // seconds - fade-out when damped
 
         // Calculate target frequency and length
         this.targetFrequency = midiToFrequency(targetMidiNote);
@@ -30,6 +42,8 @@ class HarpString {
         // State flags
         this.isPlaying = false;
         this.playingAmplitude = 0;
+        this.playingSegments = [];       // Segment names currently ringing
+        this.sympatheticAmplitude = 0;   // Faint ringing driven by other strings
         this.isSelected = false;
         this.isDraggingLowerCapo = false;
         this.isDraggingUpperCapo = false;
@@ -46,24 +60,226 @@ class HarpString {
 
     calculateLengthFromFrequency(frequency) {
         // Use material-specific wave speed
-        const waveSpeed = PHYSICS_CONSTANTS.calculateWaveSpeed(this.material, this.gauge, this.tension);
-        // f = v / (2L)  =>  L = v / (2f)
-        const lengthMeters = waveSpeed / (2 * frequency);
+        const waveSpeed = PHYSICS_CONSTANTS.calculateWaveSpeed(this.material, this.gauge, this.tension, this.winding);
+        const stiffness = PHYSICS_CONSTANTS.calculateStiffnessTerm(this.material, this.gauge, this.tension);
+
+        // f = v / (2L) * sqrt(1 + K / L²), solved as a quadratic in x = 1 / L²:
+        // K * x² + x - 4f² / v² = 0
+        const c = 4 * frequency * frequency / (waveSpeed * waveSpeed);
+        const x = stiffness > 0
+            ? (Math.sqrt(1 + 4 * stiffness * c) - 1) / (2 * stiffness)
+            : c;
+        const lengthMeters = 1 / Math.sqrt(x);
         return lengthMeters * 1000; // Convert to mm
     }
 
     calculateFrequencyFromLength(lengthMm) {
+        // Stiffness-corrected fundamental: f1 = f0 * sqrt(1 + B)
+        const inharmonicity = this.calculateInharmonicity(lengthMm);
+        return calculateStiffPartialFrequency(this.calculateIdealFrequency(lengthMm), 1, inharmonicity);
+    }
+
+    /**
+     * Calculate the ideal (perfectly flexible) string frequency
+     * @param {number} lengthMm - Vibrating length in mm
+     * @returns {number} - f = v / (2L) in Hz
+     */
+    calculateIdealFrequency(lengthMm) {
         // Use material-specific wave speed
-        const waveSpeed = PHYSICS_CONSTANTS.calculateWaveSpeed(this.material, this.gauge, this.tension);
+        const waveSpeed = PHYSICS_CONSTANTS.calculateWaveSpeed(this.material, this.gauge, this.tension, this.winding);
         const lengthMeters = lengthMm / 1000;
         // f = v / (2L)
         return waveSpeed / (2 * lengthMeters);
     }
 
-    setMaterial(material, gauge, tension) {
+    /**
+     * Calculate the inharmonicity coefficient for a vibrating length
+     * @param {number} lengthMm - Vibrating length in mm
+     * @returns {number} - Inharmonicity coefficient B
+     */
+    calculateInharmonicity(lengthMm) {
+        return PHYSICS_CONSTANTS.calculateInharmonicity(this.material, this.gauge, this.tension, lengthMm);
+    }
+
+    /**
+     * Get the stiff-string partial series of the vibrating length
+     * @param {number} count - Number of partials (optional)
+     * @returns {Array<object>} - [{number, frequency, ratio, centsSharp}]
+     */
+    getPartials(count) {
+        count = count || PHYSICS_CONSTANTS.DEFAULT_PARTIAL_COUNT;
+
+        const partials = [];
+        for (let n = 1; n <= count; n++) {
+            const frequency = calculateStiffPartialFrequency(this.idealFrequency, n, this.inharmonicity);
+            partials.push({
+                number: n,
+                frequency: frequency,
+                ratio: frequency / this.actualFrequency,
+                // Deviation from the harmonic n * f1
+                centsSharp: 1200 * Math.log2(frequency / (n * this.actualFrequency))
+            });
+        }
+        return partials;
+    }
+
+    /**
+     * Get the vibration modes of a length sounding a given pitch
+     * Frequencies follow the stiff-string series; amplitudes fall as 1/n. Each mode
+     * loses energy to air drag (rate k * d / μ, heavier strings ring longer) and to
+     * internal friction (rate π * f * η, so high modes die first).
+     * @param {number} frequency - Sounding fundamental in Hz
+     * @param {number} lengthMm - Vibrating length in mm
+     * @param {number} count - Number of modes (optional)
+     * @returns {Array<object>} - [{number, ratio, amplitude, decay}], ratio to the fundamental, decay time constant in seconds
+     */
+    getModes(frequency, lengthMm, count) {
+        count = count || AUDIO_CONSTANTS.MODAL_PARTIALS;
+
+        const mat = STRING_MATERIALS[this.material];
+        const lossFactor = mat.lossFactor || AUDIO_CONSTANTS.MODAL_DEFAULT_LOSS;
+        const linearDensity = PHYSICS_CONSTANTS.calculateLinearDensity(this.material, this.gauge, this.winding);
+        const diameter = PHYSICS_CONSTANTS.calculateOuterDiameter(this.gauge, this.winding) / 1000; // m
+        const airLoss = AUDIO_CONSTANTS.MODAL_AIR_DAMPING * diameter / linearDensity;
+
+        const inharmonicity = this.calculateInharmonicity(lengthMm);
+        const idealFrequency = frequency / Math.sqrt(1 + inharmonicity);
+
+        const modes = [];
+        for (let n = 1; n <= count; n++) {
+            const modeFrequency = calculateStiffPartialFrequency(idealFrequency, n, inharmonicity);
+            if (modeFrequency >= 20000) break;
+
+            modes.push({
+                number: n,
+                ratio: modeFrequency / frequency,
+                amplitude: 1 / n,
+                decay: 1 / (airLoss + Math.PI * modeFrequency * lossFactor)
+            });
+        }
+        return modes;
+    }
+
+    /**
+     * Get the natural harmonics of the vibrating length with their node positions
+     * Harmonic n has nodes at k/n of the length (k = 1 .. n-1).
+     * @param {number} count - Highest harmonic (optional)
+     * @returns {Array<object>} - [{number, frequency, noteName, centsDeviation, nodes: [{fraction, positionMm}]}]
+     */
+    getHarmonics(count) {
+        count = count || INTERACTION_CONSTANTS.DEFAULT_HARMONIC_COUNT;
+
+        return this.getPartials(count).map(partial => {
+            const midi = frequencyToMidi(partial.frequency);
+            const nodes = [];
+            for (let k = 1; k < partial.number; k++) {
+                const fraction = k / partial.number;
+                nodes.push({
+                    fraction: fraction,
+                    positionMm: this.lowerCapoMm + fraction * this.playableLengthMm
+                });
+            }
+            return {
+                number: partial.number,
+                frequency: partial.frequency,
+                noteName: midiToNoteName(midi),
+                centsDeviation: getCentsDeviation(midi),
+                nodes: nodes
+            };
+        });
+    }
+
+    /**
+     * Find the harmonic sounded by touching a point of the vibrating length
+     * The lowest harmonic with a node within tolerance wins (touching 2/4 sounds the 2nd).
+     * @param {number} fraction - Touch point as a fraction of the vibrating length (0-1)
+     * @param {number} count - Highest harmonic to consider (optional)
+     * @returns {number|null} - Harmonic number, or null if no node is near
+     */
+    findHarmonicAtFraction(fraction, count) {
+        count = count || INTERACTION_CONSTANTS.DEFAULT_HARMONIC_COUNT;
+        const tolerance = INTERACTION_CONSTANTS.HARMONIC_NODE_TOLERANCE;
+
+        for (let n = 2; n <= count; n++) {
+            const k = Math.round(fraction * n);
+            if (k > 0 && k < n && Math.abs(fraction - k / n) <= tolerance) {
+                return n;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sound a natural harmonic of the vibrating length
+     * @param {number} harmonicNumber - Harmonic number (2 = octave)
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     */
+    pluckHarmonic(harmonicNumber, duration, velocity) {
+        duration = duration || AUDIO_CONSTANTS.DEFAULT_DURATION;
+        velocity = velocity || AUDIO_CONSTANTS.DEFAULT_VELOCITY;
+
+        if (!audioEngine || !audioEngine.initialized) {
+            console.warn("Audio not initialized");
+            return;
+        }
+
+        const harmonic = this.getPartials(harmonicNumber)[harmonicNumber - 1];
+        audioEngine.pluckString(this.index, harmonic.frequency, duration, velocity, undefined, this.xPos);
+
+        this.playingSegments = ['middle'];
+        this.isPlaying = true;
+        this.playingAmplitude = 1.0;
+    }
+
+    /**
+     * Calculate the pitch this string drifts to under other room conditions
+     * Anchors move with the frame while the string expands on its own, so the
+     * mismatch in strain changes tension; the frame also stretches the span.
+     * @param {number} temperature - Temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @returns {object} - {tension, lengthMm, frequency, cents, assumedExpansion (coefficients were defaulted)}
+     */
+    calculateDriftedState(temperature, humidity) {
+        const mat = STRING_MATERIALS[this.material];
+        const deltaT = temperature - ENVIRONMENT_CONSTANTS.REFERENCE_TEMPERATURE;
+        const deltaRH = humidity - ENVIRONMENT_CONSTANTS.REFERENCE_HUMIDITY;
+
+        // Strain imposed on the core: frame growth minus free thermal and moisture growth
+        const strain = (ENVIRONMENT_CONSTANTS.FRAME_EXPANSION - (mat.thermalExpansion || 0)) * deltaT -
+            (mat.hygroscopicExpansion || 0) * deltaRH;
+        const axialStiffness = mat.youngsModulus * PHYSICS_CONSTANTS.calculateCrossSectionArea(this.gauge);
+
+        const tension = Math.max(ENVIRONMENT_CONSTANTS.MIN_TENSION, this.tension + axialStiffness * strain);
+        const lengthMm = this.playableLengthMm * (1 + ENVIRONMENT_CONSTANTS.FRAME_EXPANSION * deltaT);
+
+        const waveSpeed = PHYSICS_CONSTANTS.calculateWaveSpeed(this.material, this.gauge, tension, this.winding);
+        const inharmonicity = PHYSICS_CONSTANTS.calculateInharmonicity(this.material, this.gauge, tension, lengthMm);
+        const frequency = calculateStiffPartialFrequency(waveSpeed / (2 * lengthMm / 1000), 1, inharmonicity);
+
+        return {
+            tension: tension,
+            lengthMm: lengthMm,
+            frequency: frequency,
+            cents: 1200 * Math.log2(frequency / this.actualFrequency),
+            assumedExpansion: !!mat.assumedExpansion
+        };
+    }
+
+    /**
+     * Set string material, gauge, tension and optional wrap
+     * @param {string} material - Core material key
+     * @param {string} gauge - Core gauge key
+     * @param {number} tension - Tension in Newtons
+     * @param {string} winding - Wrap key from STRING_WINDINGS (optional, keeps current wrap)
+     */
+    setMaterial(material, gauge, tension, winding) {
         this.material = material;
         this.gauge = gauge;
         this.tension = tension;
+        if (winding !== undefined) {
+            this.winding = winding;
+        }
 
         // Copy the color array to ensure each string has its own instance
         const matColor = STRING_MATERIALS[material].color;
@@ -77,7 +293,74 @@ class HarpString {
         console.log(`✓ String #${this.index + 1} material: ${matName} → Color RGB: [${this.color[0]}, ${this.color[1]}, ${this.color[2]}]`);
     }
 
+    /**
+     * Calculate tension needed to sound a frequency at a vibrating length
+     * @param {number} frequency - Frequency in Hz (defaults to target frequency)
+     * @param {number} lengthMm - Vibrating length in mm (defaults to playable length)
+     * @returns {object} - {tension, range, inRange}
+     */
+    calculateRequiredTension(frequency, lengthMm) {
+        frequency = frequency || this.targetFrequency;
+        lengthMm = lengthMm || this.playableLengthMm;
+
+        const tension = PHYSICS_CONSTANTS.calculateTensionForFrequency(this.material, this.gauge, frequency, lengthMm, this.winding);
+        const range = STRING_MATERIALS[this.material].tensionRange;
+
+        return {
+            tension: tension,
+            range: range,
+            inRange: tension >= range[0] && tension <= range[1]
+        };
+    }
+
+    /**
+     * Set tension so the current capo span sounds the target frequency
+     * @returns {object} - {tension, range, inRange}
+     */
+    applyTensionTuning() {
+        // Make sure the span reflects the current capo positions
+        this.updateCalculations();
+
+        const result = this.calculateRequiredTension();
+        if (result.tension <= 0) {
+            console.warn(`String #${this.index + 1}: no positive tension reaches ${this.targetFrequency.toFixed(2)} Hz at ${this.playableLengthMm.toFixed(0)}mm`);
+            return result;
+        }
+
+        this.tension = result.tension;
+        this.updateCalculations();
+
+        if (!result.inRange) {
+            console.warn(`String #${this.index + 1}: ${result.tension.toFixed(1)}N is outside ${STRING_MATERIALS[this.material].name} range [${result.range[0]}, ${result.range[1]}]N`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Switch between tuning by capo position and tuning by tension
+     * @param {boolean} enabled - True to tune by tension
+     * @returns {object|null} - Tension result when enabling, null otherwise
+     */
+    setTuneByTension(enabled) {
+        this.tuneByTension = enabled;
+
+        if (enabled) {
+            return this.applyTensionTuning();
+        }
+
+        this.targetLengthMm = this.calculateLengthFromFrequency(this.targetFrequency);
+        this.initializeCapoPositions();
+        return null;
+    }
+
     initializeCapoPositions() {
+        // In tension mode the capos stay put and tension follows the target pitch
+        if (this.tuneByTension && this.playableLengthMm !== undefined) {
+            this.applyTensionTuning();
+            return;
+        }
+
         // Clamp to valid range
         const clampedLength = clamp(
             this.targetLengthMm,
@@ -113,11 +396,27 @@ class HarpString {
             this.playableLengthMm = this.upperCapoMm - this.lowerCapoMm;
         }
 
-        this.actualFrequency = this.calculateFrequencyFromLength(this.playableLengthMm);
+        this.inharmonicity = this.calculateInharmonicity(this.playableLengthMm);
+        this.idealFrequency = this.calculateIdealFrequency(this.playableLengthMm);
+        this.actualFrequency = calculateStiffPartialFrequency(this.idealFrequency, 1, this.inharmonicity);
+        this.stiffnessCents = 1200 * Math.log2(this.actualFrequency / this.idealFrequency);
         this.actualMidiNote = frequencyToMidi(this.actualFrequency);
         this.noteName = midiToNoteName(this.actualMidiNote);
         this.centsDeviation = getCentsDeviation(this.actualMidiNote);
 
+        // Tension that would put the current span on target
+        const required = this.calculateRequiredTension();
+        this.requiredTension = required.tension;
+        this.requiredTensionInRange = required.inRange;
+
+        // Tensile stress and margin against breaking
+        this.stress = PHYSICS_CONSTANTS.calculateStress(this.gauge, this.tension);
+        this.safetyFactor = PHYSICS_CONSTANTS.calculateSafetyFactor(this.material, this.gauge, this.tension);
+        this.stressStatus = getStressStatus(this.material, this.stress);
+
+        // Segments outside the capos ring at their own pitches
+        this.segments = this.getSegments();
+
         this.playableLengthFeet = this.playableLengthMm / 304.8;
         this.lowerCapoFeet = this.lowerCapoMm / 304.8;
         this.upperCapoFeet = this.upperCapoMm / 304.8;
@@ -199,6 +498,73 @@ class HarpString {
         this.updateCalculations();
     }
 
+    /**
+     * Get the three string segments split by the capos
+     * In draw mode the drawn span is the only segment.
+     * @returns {Array<object>} - [{name, startMm, endMm, lengthMm, frequency, noteName, centsDeviation, damped}]
+     */
+    getSegments() {
+        const makeSegment = (name, startMm, endMm, frequency) => {
+            const midi = frequencyToMidi(frequency);
+            return {
+                name: name,
+                startMm: startMm,
+                endMm: endMm,
+                lengthMm: endMm - startMm,
+                frequency: frequency,
+                noteName: midiToNoteName(midi),
+                centsDeviation: getCentsDeviation(midi),
+                // Outer segments always ring; reverse capo mode damps the middle
+                damped: name === 'middle' && this.reverseCapoMode
+            };
+        };
+
+        if (this.drawMode && this.startX !== null && this.endX !== null) {
+            const segment = makeSegment('middle', 0, this.playableLengthMm, this.actualFrequency);
+            segment.damped = false;
+            return [segment];
+        }
+
+        return [
+            makeSegment('lower', 0, this.lowerCapoMm, this.calculateFrequencyFromLength(this.lowerCapoMm)),
+            makeSegment('middle', this.lowerCapoMm, this.upperCapoMm, this.actualFrequency),
+            makeSegment('upper', this.upperCapoMm, PHYSICS_CONSTANTS.FULL_STRING_LENGTH,
+                this.calculateFrequencyFromLength(PHYSICS_CONSTANTS.FULL_STRING_LENGTH - this.upperCapoMm))
+        ];
+    }
+
+    /**
+     * Get the normalized position of a point within its segment
+     * @param {number} positionMm - Position from the soundbox in mm
+     * @returns {number|undefined} - Fraction of the segment length (0-1), undefined if the segment has no length
+     */
+    getPluckPosition(positionMm) {
+        const segment = this.segments.find(s => s.name === this.getSegmentAtPosition(positionMm));
+        if (!segment || segment.lengthMm <= 0) return undefined;
+        return clamp((positionMm - segment.startMm) / segment.lengthMm, 0, 1);
+    }
+
+    /**
+     * Find which segment contains a position along the string
+     * @param {number} positionMm - Position from the soundbox in mm
+     * @returns {string} - 'lower', 'middle' or 'upper'
+     */
+    getSegmentAtPosition(positionMm) {
+        if (this.drawMode && this.startX !== null && this.endX !== null) return 'middle';
+        if (positionMm < this.lowerCapoMm) return 'lower';
+        if (positionMm > this.upperCapoMm) return 'upper';
+        return 'middle';
+    }
+
+    /**
+     * Switch reverse capo mode for this string
+     * @param {boolean} enabled - True to ring the outer segments and damp the middle
+     */
+    setReverseCapoMode(enabled) {
+        this.reverseCapoMode = enabled;
+        this.segments = this.getSegments();
+    }
+
     setLowerCapoPosition(positionMm) {
         this.lowerCapoMm = clamp(
             positionMm,
@@ -218,23 +584,122 @@ class HarpString {
         this.updateCalculations();
     }
 
-    async pluck(duration, velocity) {
+    /**
+     * Pluck the sounding part of the string
+     * Normally the span between the capos; in reverse capo mode both outer segments.
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @param {number} pluckPosition - Fraction of the sounding length plucked (optional)
+     * @param {number} time - Audio context time to play at (optional, defaults to now)
+     */
+    async pluck(duration, velocity, pluckPosition, time) {
+        this.getSoundingSegmentNames().forEach(name => {
+            this.pluckSegment(name, duration, velocity, pluckPosition, time);
+        });
+    }
+
+    /**
+     * Get the segments a plain pluck sounds
+     * @returns {Array<string>} - Segment names
+     */
+    getSoundingSegmentNames() {
+        if (this.reverseCapoMode && this.segments.length === 3) {
+            return ['lower', 'upper'];
+        }
+        return ['middle'];
+    }
+
+    /**
+     * Get the notes a pluck would play, without playing them (for offline rendering)
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @param {number} pluckPosition - Fraction of the sounding length plucked (optional)
+     * @returns {Array<object>} - [{stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm}]
+     */
+    getPluckNotes(duration, velocity, pluckPosition) {
+        return this.getSoundingSegmentNames()
+            .map(name => this.getSegmentNote(name, duration, velocity, pluckPosition))
+            .filter(note => note !== null);
+    }
+
+    /**
+     * Get the note a segment pluck would play
+     * @param {string} segmentName - 'lower', 'middle' or 'upper'
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @param {number} pluckPosition - Fraction of the segment length plucked (optional)
+     * @returns {object|null} - {stringIndex, segmentName, frequency, duration, velocity, pluckPosition, xPosMm}
+     */
+    getSegmentNote(segmentName, duration, velocity, pluckPosition) {
         duration = duration || AUDIO_CONSTANTS.DEFAULT_DURATION;
         velocity = velocity || AUDIO_CONSTANTS.DEFAULT_VELOCITY;
 
+        const segment = this.segments.find(s => s.name === segmentName);
+        if (!segment) return null;
+
+        // A damped segment only gives a short muted thump
+        if (segment.damped) {
+            duration = Math.min(duration, AUDIO_CONSTANTS.DAMPED_DURATION);
+            velocity *= AUDIO_CONSTANTS.DAMPED_VELOCITY_SCALE;
+        }
+
+        // The player's hand stops the string after the damp time
+        if (!this.letRing) {
+            duration = Math.min(duration, this.dampAfter);
+        }
+
+        return {
+            stringIndex: this.index,
+            segmentName: segmentName,
+            frequency: segment.frequency,
+            duration: duration,
+            velocity: velocity,
+            pluckPosition: pluckPosition,
+            xPosMm: this.xPos
+        };
+    }
+
+    /**
+     * Pluck one segment of the string
+     * @param {string} segmentName - 'lower', 'middle' or 'upper'
+     * @param {number} duration - Note duration in seconds
+     * @param {number} velocity - Velocity 0-1
+     * @param {number} pluckPosition - Fraction of the segment length plucked (optional)
+     * @param {number} time - Audio context time to play at (optional, defaults to now)
+     */
+    pluckSegment(segmentName, duration, velocity, pluckPosition, time) {
         if (!audioEngine || !audioEngine.initialized) {
             console.warn("Audio not initialized");
             return;
         }
 
-        audioEngine.pluckString(this.index, this.actualFrequency, duration, velocity);
+        const note = this.getSegmentNote(segmentName, duration, velocity, pluckPosition);
+        if (!note) return;
 
-        this.isPlaying = true;
-        this.playingAmplitude = 1.0;
+        audioEngine.pluckSegment(this.index, segmentName, note.frequency, note.duration, note.velocity,
+            pluckPosition, note.xPosMm, time);
+
+        // Scheduled plucks start vibrating on the canvas when they are heard
+        const show = () => {
+            if (!this.playingSegments.includes(segmentName)) {
+                this.playingSegments.push(segmentName);
+            }
+            this.isPlaying = true;
+            this.playingAmplitude = 1.0;
+
+            setTimeout(() => {
+                this.playingSegments = this.playingSegments.filter(name => name !== segmentName);
+                if (this.playingSegments.length === 0) {
+                    this.isPlaying = false;
+                }
+            }, note.duration * 1000);
+        };
 
-        setTimeout(() => {
-            this.isPlaying = false;
-        }, duration * 1000);
+        if (time === undefined) {
+            show();
+        } else {
+            Tone.Draw.schedule(show, time);
+        }
     }
 
     updatePlaying(deltaTime) {
@@ -243,10 +708,59 @@ class HarpString {
             if (this.playingAmplitude < INTERACTION_CONSTANTS.MIN_AMPLITUDE) {
                 this.isPlaying = false;
                 this.playingAmplitude = 0;
+                this.playingSegments = [];
+            }
+        }
+
+        if (this.sympatheticAmplitude > 0) {
+            this.sympatheticAmplitude *= INTERACTION_CONSTANTS.VIBRATION_DECAY;
+            if (this.sympatheticAmplitude < INTERACTION_CONSTANTS.MIN_AMPLITUDE) {
+                this.sympatheticAmplitude = 0;
             }
         }
     }
 
+    /**
+     * Choose between letting the string ring and damping it after each pluck
+     * @param {boolean} letRing - Let the string ring out
+     * @param {number} dampAfter - Seconds after a pluck to damp when not letting ring (optional)
+     * @param {number} dampRelease - Damping fade-out in seconds (optional)
+     */
+    setDamping(letRing, dampAfter, dampRelease) {
+        this.letRing = letRing;
+        if (dampAfter !== undefined) {
+            this.dampAfter = clamp(dampAfter, AUDIO_CONSTANTS.MIN_DAMP_AFTER, AUDIO_CONSTANTS.MAX_DAMP_AFTER);
+        }
+        if (dampRelease !== undefined) {
+            this.dampRelease = clamp(dampRelease, AUDIO_CONSTANTS.MIN_DAMP_RELEASE, AUDIO_CONSTANTS.MAX_DAMP_RELEASE);
+        }
+    }
+
+    /**
+     * Damp the string now, fading out everything it is sounding
+     * @param {number} releaseTime - Fade-out in seconds (optional, defaults to the string's damp release)
+     */
+    damp(releaseTime) {
+        releaseTime = releaseTime === undefined ? this.dampRelease : releaseTime;
+
+        if (audioEngine && audioEngine.initialized) {
+            audioEngine.dampString(this.index, releaseTime);
+        }
+
+        this.isPlaying = false;
+        this.playingAmplitude = 0;
+        this.playingSegments = [];
+        this.sympatheticAmplitude = 0;
+    }
+
+    /**
+     * Show sympathetic ringing driven by another string
+     * @param {number} level - Excitation level 0-1
+     */
+    exciteSympathetic(level) {
+        this.sympatheticAmplitude = Math.max(this.sympatheticAmplitude, level);
+    }
+
     getStringData() {
         return {
             stringNumber: this.index + 1,
@@ -256,6 +770,8 @@ class HarpString {
             midiNote: this.actualMidiNote.toFixed(2),
             midiNoteRounded: Math.round(this.actualMidiNote),
             centsDeviation: this.centsDeviation.toFixed(1),
+            inharmonicity: this.inharmonicity.toExponential(3),
+            stiffnessCents: this.stiffnessCents.toFixed(2),
             playableLengthMm: this.playableLengthMm.toFixed(0),
             playableLengthFeet: this.playableLengthFeet.toFixed(3),
             lowerCapoMm: this.lowerCapoMm.toFixed(1),
@@ -266,7 +782,27 @@ class HarpString {
             targetFrequency: this.targetFrequency.toFixed(2),
             material: this.material,
             gauge: this.gauge,
-            tension: this.tension
+            winding: this.winding,
+            outerDiameter: PHYSICS_CONSTANTS.calculateOuterDiameter(this.gauge, this.winding).toFixed(2),
+            tension: this.tension,
+            requiredTension: this.requiredTension.toFixed(1),
+            requiredTensionInRange: this.requiredTensionInRange,
+            stressMPa: (this.stress / 1e6).toFixed(0),
+            safetyFactor: this.safetyFactor.toFixed(2),
+            stressStatus: this.stressStatus,
+            tuneByTension: this.tuneByTension,
+            reverseCapoMode: this.reverseCapoMode,
+            letRing: this.letRing,
+            dampAfter: this.dampAfter,
+            dampRelease: this.dampRelease,
+            segments: this.segments.map(segment => ({
+                name: segment.name,
+                lengthMm: segment.lengthMm.toFixed(0),
+                frequency: segment.frequency.toFixed(2),
+                noteName: segment.noteName,
+                centsDeviation: segment.centsDeviation.toFixed(1),
+                damped: segment.damped
+            }))
         };
     }
 
@@ -279,9 +815,16 @@ class HarpString {
         }
         if (data.targetMidiNote !== undefined) {
             this.targetMidiNote = data.targetMidiNote;
+            this.targetFrequency = midiToFrequency(this.targetMidiNote);
+        }
+        if (data.tuneByTension !== undefined) {
+            this.tuneByTension = data.tuneByTension;
+        }
+        if (data.letRing !== undefined) {
+            this.setDamping(data.letRing, data.dampAfter, data.dampRelease);
         }
         if (data.material !== undefined && data.gauge !== undefined && data.tension !== undefined) {
-            this.setMaterial(data.material, data.gauge, data.tension);
+            this.setMaterial(data.material, data.gauge, data.tension, data.winding);
         }
         this.updateCalculations();
     }
@@ -373,6 +916,8 @@ function exportToCSV(strings) {
         'Actual MIDI',
         'Frequency (Hz)',
         'Cents Deviation',
+        'Inharmonicity (B)',
+        'Stiffness Shift (cents)',
         'Playable Length (mm)',
         'Playable Length (ft)',
         'Lower Capo (mm)',
@@ -381,7 +926,10 @@ function exportToCSV(strings) {
         'Upper Capo (ft)',
         'Material',
         'Gauge',
+        'Winding',
         'Tension (N)',
+        'Stress (MPa)',
+        'Safety Factor',
         'Draw Mode',
         'Draw Start X',
         'Draw Start Y',
@@ -398,6 +946,8 @@ function exportToCSV(strings) {
             data.midiNoteRounded,
             data.frequency,
             data.centsDeviation,
+            data.inharmonicity,
+            data.stiffnessCents,
             data.playableLengthMm,
             data.playableLengthFeet,
             data.lowerCapoMm,
@@ -406,7 +956,10 @@ function exportToCSV(strings) {
             data.upperCapoFeet,
             s.material,
             s.gauge,
+            s.winding,
             s.tension,
+            data.stressMPa,
+            data.safetyFactor,
             s.drawMode,
             s.startX || '',
             s.startY || '',
@@ -423,6 +976,140 @@ function exportToCSV(strings) {
     return csv;
 }
 
+/**
+ * List every string whose safety factor is below the required minimum
+ *
+ * @param {Array<HarpString>} strings - Array of string objects
+ * @param {number} requiredSafetyFactor - Minimum breaking strength / stress ratio
+ * @returns {Array<object>} - Flagged strings, lowest safety factor first
+ */
+function generateSafetyReport(strings, requiredSafetyFactor) {
+    requiredSafetyFactor = requiredSafetyFactor || PHYSICS_CONSTANTS.SAFETY_FACTOR;
+
+    return strings
+        .filter(s => s.safetyFactor < requiredSafetyFactor)
+        .sort((a, b) => a.safetyFactor - b.safetyFactor)
+        .map(s => ({
+            stringNumber: s.index + 1,
+            noteName: s.noteName,
+            material: s.material,
+            gauge: s.gauge,
+            tension: s.tension,
+            stress: s.stress,
+            safetyFactor: s.safetyFactor,
+            status: getStressStatus(s.material, s.stress, requiredSafetyFactor)
+        }));
+}
+
+/**
+ * Analyze the load the strings put on the frame
+ * Every string pulls its full tension on both anchors (top bridge and soundbox),
+ * so each anchor rail carries the summed tension. Strings are placed by xPos.
+ *
+ * @param {Array<HarpString>} strings - Array of string objects
+ * @param {number} sectionWidthMm - Width of each wall section in mm (optional)
+ * @returns {object} - Totals, per-metre load, peak local load and per-section breakdown
+ */
+function analyzeFrameLoad(strings, sectionWidthMm) {
+    sectionWidthMm = sectionWidthMm || PHYSICS_CONSTANTS.LOAD_SECTION_WIDTH;
+
+    const wallWidthMm = PHYSICS_CONSTANTS.WALL_WIDTH;
+    const sectionCount = Math.max(1, Math.ceil(wallWidthMm / sectionWidthMm));
+
+    const sections = [];
+    for (let i = 0; i < sectionCount; i++) {
+        const startMm = i * sectionWidthMm;
+        const endMm = Math.min(startMm + sectionWidthMm, wallWidthMm);
+        sections.push({
+            number: i + 1,
+            startMm: startMm,
+            endMm: endMm,
+            stringCount: 0,
+            load: 0,
+            loadPerMetre: 0
+        });
+    }
+
+    let totalLoad = 0;
+    let peakAnchor = null;
+
+    strings.forEach(s => {
+        totalLoad += s.tension;
+
+        const sectionIndex = clamp(Math.floor(s.xPos / sectionWidthMm), 0, sectionCount - 1);
+        sections[sectionIndex].stringCount++;
+        sections[sectionIndex].load += s.tension;
+
+        if (!peakAnchor || s.tension > peakAnchor.tension) {
+            peakAnchor = { stringNumber: s.index + 1, tension: s.tension };
+        }
+    });
+
+    sections.forEach(section => {
+        section.loadPerMetre = section.load / ((section.endMm - section.startMm) / 1000);
+    });
+
+    const peakSection = sections.reduce((peak, section) =>
+        section.loadPerMetre > peak.loadPerMetre ? section : peak, sections[0]);
+
+    return {
+        stringCount: strings.length,
+        wallWidthMm: wallWidthMm,
+        sectionWidthMm: sectionWidthMm,
+        totalLoad: totalLoad,
+        topBridgeLoad: totalLoad,
+        soundboxLoad: totalLoad,
+        loadPerMetre: totalLoad / (wallWidthMm / 1000),
+        peakSection: peakSection,
+        peakAnchor: peakAnchor,
+        sections: sections
+    };
+}
+
+// Export frame load analysis to CSV
+function exportLoadToCSV(strings, sectionWidthMm) {
+    const analysis = analyzeFrameLoad(strings, sectionWidthMm);
+
+    const headers = [
+        'Section',
+        'Start (mm)',
+        'End (mm)',
+        'Strings',
+        'Load (N)',
+        'Load (kgf)',
+        'Load per Metre (N/m)'
+    ];
+
+    const rows = analysis.sections.map(section => [
+        section.number,
+        section.startMm.toFixed(0),
+        section.endMm.toFixed(0),
+        section.stringCount,
+        section.load.toFixed(1),
+        (section.load / 9.80665).toFixed(1),
+        section.loadPerMetre.toFixed(1)
+    ]);
+
+    let csv = headers.join(',') + '\n';
+    rows.forEach(row => {
+        csv += row.join(',') + '\n';
+    });
+
+    // Summary rows apply to each anchor rail (top bridge and soundbox)
+    csv += '\n';
+    csv += 'Total Load per Rail (N),' + analysis.totalLoad.toFixed(1) + '\n';
+    csv += 'Total Load per Rail (kgf),' + (analysis.totalLoad / 9.80665).toFixed(1) + '\n';
+    csv += 'Average Load per Metre (N/m),' + analysis.loadPerMetre.toFixed(1) + '\n';
+    csv += 'Peak Section,' + analysis.peakSection.number + '\n';
+    csv += 'Peak Load per Metre (N/m),' + analysis.peakSection.loadPerMetre.toFixed(1) + '\n';
+    if (analysis.peakAnchor) {
+        csv += 'Peak Anchor (String),' + analysis.peakAnchor.stringNumber + '\n';
+        csv += 'Peak Anchor Force (N),' + analysis.peakAnchor.tension.toFixed(1) + '\n';
+    }
+
+    return csv;
+}
+
 function downloadCSV(strings) {
     const csv = exportToCSV(strings);
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -442,6 +1129,25 @@ function downloadCSV(strings) {
     console.log("CSV downloaded:", filename);
 }
 
+function downloadLoadCSV(strings, sectionWidthMm) {
+    const csv = exportLoadToCSV(strings, sectionWidthMm);
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = 'wall-harp-frame-load-' + timestamp + '.csv';
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+    console.log("Frame load CSV downloaded:", filename);
+}
+
 // Apply waveform pattern to capo positions
 function applyWaveform(strings, waveformType, amplitude, offset) {
     const waveformFunc = WAVEFORMS[waveformType];
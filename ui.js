@@ -29,19 +29,56 @@ function updateInfoPanel(string, selectionCount = 1) {
     };
 
     updateElement('stringNumber', data.stringNumber);
-    updateElement('currentNote', data.noteName);
+    updateElement('currentNote', data.reverseCapoMode ? data.noteName + ' (DAMPED)' : data.noteName);
     updateElement('currentFreq', data.frequency + ' Hz');
     updateElement('midiNote', data.midiNoteRounded + ' (' + data.noteName + ')');
+    updateElement('inharmonicity', 'B ' + data.inharmonicity + ' (+' + data.stiffnessCents + '¢)');
+    updateElement('tuningMethodStatus', data.tuneByTension ? 'TENSION' : 'CAPOS');
+    updateElement('dampingStatus', data.letRing
+        ? 'LET RING'
+        : `DAMP ${data.dampAfter.toFixed(1)} s (${(data.dampRelease * 1000).toFixed(0)} ms)`);
+
+    // Flag required tension outside the material's working range
+    const requiredTensionElement = document.getElementById('requiredTension');
+    if (requiredTensionElement) {
+        requiredTensionElement.textContent = data.requiredTension + ' N';
+        requiredTensionElement.style.color = data.requiredTensionInRange ? '' : '#ff0000';
+    }
+
+    // Stress with warning color by status
+    const stressElement = document.getElementById('stringStress');
+    if (stressElement) {
+        stressElement.textContent = data.stressMPa + ' MPa (SF ' + data.safetyFactor + ')';
+        const stressColor = VISUAL_CONSTANTS.STRESS_COLORS[data.stressStatus];
+        stressElement.style.color = stressColor ? `rgb(${stressColor.join(', ')})` : '';
+    }
+
     updateElement('playableLength', data.playableLengthMm + ' mm (' + data.playableLengthFeet + ' ft)');
     updateElement('lowerCapo', data.lowerCapoMm + ' mm (' + data.lowerCapoFeet + ' ft)');
     updateElement('upperCapo', data.upperCapoMm + ' mm (' + data.upperCapoFeet + ' ft)');
 
-    // Update tuning status with color
+    // Segments outside the capos (click above/below the capos in pluck mode to sound them)
+    ['lower', 'upper'].forEach(name => {
+        const segment = data.segments.find(s => s.name === name);
+        updateElement(name + 'Segment', segment
+            ? segment.noteName + ' ' + segment.frequency + ' Hz (' + segment.lengthMm + ' mm)'
+            : '--');
+    });
+
+    // Environmental drift at the current room conditions
+    const drift = environment.getDrift(string);
+    updateElement('envDrift', (drift.cents >= 0 ? '+' : '') + drift.cents.toFixed(1) + '¢ @ ' +
+        environment.temperature.toFixed(1) + '°C / ' + environment.humidity.toFixed(0) + '%' +
+        (drift.assumedExpansion ? ' (DEFAULT EXPANSION)' : ''));
+
+    // Update tuning status with color (drifted pitch when the environment view is on)
     const centsElement = document.getElementById('centsDeviation');
     if (centsElement) {
-        const cents = parseFloat(data.centsDeviation);
+        const cents = environment.showDrift
+            ? getCentsDeviation(frequencyToMidi(drift.frequency))
+            : parseFloat(data.centsDeviation);
         const tuningText = cents > 0 ? '+' + cents.toFixed(1) + ' cents' : cents.toFixed(1) + ' cents';
-        centsElement.textContent = tuningText;
+        centsElement.textContent = environment.showDrift ? tuningText + ' (DRIFT)' : tuningText;
 
         // Color based on how in-tune it is
         if (Math.abs(cents) < 5) {
@@ -57,6 +94,7 @@ function updateInfoPanel(string, selectionCount = 1) {
     // This prevents the dropdown from resetting while the user is trying to change it
     const selectedStringMaterial = document.getElementById('selectedStringMaterial');
     const selectedStringGauge = document.getElementById('selectedStringGauge');
+    const selectedStringWinding = document.getElementById('selectedStringWinding');
     const selectedStringTension = document.getElementById('selectedStringTension');
     const selectedStringTensionValue = document.getElementById('selectedStringTensionValue');
 
@@ -67,12 +105,420 @@ function updateInfoPanel(string, selectionCount = 1) {
     if (selectedStringGauge && document.activeElement !== selectedStringGauge) {
         selectedStringGauge.value = string.gauge;
     }
+    if (selectedStringWinding && document.activeElement !== selectedStringWinding) {
+        selectedStringWinding.value = string.winding;
+    }
     if (selectedStringTension && document.activeElement !== selectedStringTension) {
         selectedStringTension.value = string.tension;
         if (selectedStringTensionValue) {
-            selectedStringTensionValue.textContent = string.tension + ' N';
+            selectedStringTensionValue.textContent = parseFloat(string.tension.toFixed(1)) + ' N';
+        }
+    }
+}
+
+/**
+ * Update the string safety report panel
+ *
+ * @param {object} app - Main application instance
+ */
+function updateSafetyReport(app) {
+    const reportElement = document.getElementById('safetyReport');
+    const statusElement = document.getElementById('safetyStatus');
+    if (!reportElement) return;
+
+    const report = generateSafetyReport(app.strings, PHYSICS_CONSTANTS.SAFETY_FACTOR);
+
+    if (statusElement) {
+        const statusValue = statusElement.querySelector('.status-value');
+        if (statusValue) {
+            statusValue.textContent = report.length + (report.length === 1 ? ' STRING' : ' STRINGS');
         }
     }
+
+    reportElement.innerHTML = '';
+    report.forEach(entry => {
+        const row = document.createElement('button');
+        row.className = 'preset-item';
+        row.textContent = `#${entry.stringNumber} ${entry.noteName} | ${STRING_MATERIALS[entry.material].name} ` +
+            `${STRING_GAUGES[entry.gauge].diameter}mm @ ${entry.tension.toFixed(0)}N | ` +
+            `${(entry.stress / 1e6).toFixed(0)} MPa | SF ${entry.safetyFactor.toFixed(2)} | ${entry.status.toUpperCase()}`;
+
+        const color = VISUAL_CONSTANTS.STRESS_COLORS[entry.status];
+        if (color) row.style.color = `rgb(${color.join(', ')})`;
+
+        row.addEventListener('click', () => {
+            const index = entry.stringNumber - 1;
+            app.interactionManager.selectedStringIndices = [index];
+            app.interactionManager.selectString(index);
+            app.updateUI();
+        });
+
+        reportElement.appendChild(row);
+    });
+}
+
+/**
+ * Show the tuner's measured pitch of the last pluck next to the computed frequency
+ *
+ * @param {object|null} reading - From HarpAudioEngine.measurePitch
+ */
+function updateTunerReading(reading) {
+    const element = document.getElementById('measuredFreq');
+    if (!element) return;
+
+    if (!reading) {
+        element.textContent = '--';
+        element.style.color = '';
+        return;
+    }
+
+    const sign = reading.cents >= 0 ? '+' : '';
+    const segment = reading.segmentName === 'middle' ? '' : ' ' + reading.segmentName;
+    element.textContent = `${reading.frequency.toFixed(2)} Hz (${sign}${reading.cents.toFixed(1)}¢) #${reading.stringIndex + 1}${segment}`;
+    element.style.color = Math.abs(reading.cents) > AUDIO_CONSTANTS.TUNER_TOLERANCE_CENTS ? '#ff0000' : '';
+}
+
+/**
+ * Sync the convolution reverb controls with the engine's settings
+ * (after loading an IR or a project)
+ */
+function updateConvolutionControls() {
+    if (!audioEngine) return;
+    const settings = audioEngine.convolution;
+
+    const setControl = (id, value, labelId, label) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+        const labelElement = document.getElementById(labelId);
+        if (labelElement) labelElement.textContent = label;
+    };
+
+    const nameElement = document.getElementById('impulseResponseName');
+    if (nameElement) {
+        nameElement.textContent = settings.irName
+            ? settings.irName + (audioEngine.isImpulseResponseLoaded() ? '' : ' (NOT LOADED)')
+            : 'NONE';
+    }
+
+    const onButton = document.getElementById('convolutionOn');
+    const offButton = document.getElementById('convolutionOff');
+    if (onButton && offButton) {
+        onButton.classList.toggle('active', settings.enabled);
+        offButton.classList.toggle('active', !settings.enabled);
+    }
+
+    const modeSelect = document.getElementById('convolutionMode');
+    if (modeSelect) modeSelect.value = settings.mode;
+
+    setControl('convolutionWet', settings.wet * 100, 'convolutionWetValue', (settings.wet * 100).toFixed(0) + '%');
+    setControl('convolutionPreDelay', settings.preDelay * 1000, 'convolutionPreDelayValue',
+        (settings.preDelay * 1000).toFixed(0) + ' ms');
+    setControl('irTrimStart', settings.trimStart * 1000, 'irTrimStartValue', (settings.trimStart * 1000).toFixed(0) + ' ms');
+    setControl('irTrimLength', settings.trimLength, 'irTrimLengthValue',
+        settings.trimLength > 0 ? settings.trimLength.toFixed(1) + ' s' : 'FULL');
+}
+
+/**
+ * Rebuild the effects rack panel: one block per module with bypass, reorder and remove
+ * buttons and a control for each param
+ */
+function updateEffectsRackPanel() {
+    const listElement = document.getElementById('effectsRackList');
+    if (!listElement || !audioEngine) return;
+
+    const rack = audioEngine.effectsRack;
+    listElement.innerHTML = '';
+
+    const formatParam = (definition, value) => {
+        const decimals = definition.step < 1 ? Math.ceil(-Math.log10(definition.step)) : 0;
+        return value.toFixed(decimals) + (definition.unit ? ' ' + definition.unit : '');
+    };
+
+    const makeButton = (text, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    rack.modules.forEach((module, index) => {
+        const definition = EFFECT_TYPES[module.type];
+        const block = document.createElement('div');
+        block.className = 'effect-module' + (module.bypass ? ' bypassed' : '');
+
+        const header = document.createElement('div');
+        header.className = 'effect-module-header';
+        const name = document.createElement('label');
+        name.className = 'control-label';
+        name.textContent = `${index + 1}. ${definition.name.toUpperCase()}`;
+        header.appendChild(name);
+
+        header.appendChild(makeButton(module.bypass ? 'OFF' : 'ON', 'Bypass', () => {
+            audioEngine.setEffectBypass(module.id, !module.bypass);
+            updateEffectsRackPanel();
+        }));
+        header.appendChild(makeButton('↑', 'Move up', () => {
+            audioEngine.moveEffect(module.id, index - 1);
+            updateEffectsRackPanel();
+        }));
+        header.appendChild(makeButton('↓', 'Move down', () => {
+            audioEngine.moveEffect(module.id, index + 1);
+            updateEffectsRackPanel();
+        }));
+        header.appendChild(makeButton('✕', 'Remove', () => {
+            audioEngine.removeEffect(module.id);
+            updateEffectsRackPanel();
+            audioEngine.updateAudioParamsUI();
+        }));
+        block.appendChild(header);
+
+        Object.keys(definition.params).forEach(key => {
+            const param = definition.params[key];
+            const row = document.createElement('div');
+            row.className = 'control-row';
+            const label = document.createElement('label');
+            label.className = 'control-label';
+            label.textContent = key.replace(/([A-Z])/g, ' $1').toUpperCase();
+            row.appendChild(label);
+            block.appendChild(row);
+
+            if (param.options) {
+                const select = document.createElement('select');
+                select.className = 'select-field';
+                param.options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option;
+                    element.textContent = option.toUpperCase();
+                    select.appendChild(element);
+                });
+                select.value = module.params[key];
+                select.addEventListener('change', (e) => {
+                    audioEngine.setEffectParams(module.id, { [key]: e.target.value });
+                });
+                block.appendChild(select);
+                return;
+            }
+
+            const value = document.createElement('span');
+            value.className = 'control-value';
+            value.textContent = formatParam(param, module.params[key]);
+            row.appendChild(value);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'range-slider';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step;
+            slider.value = module.params[key];
+            slider.addEventListener('input', (e) => {
+                const newValue = parseFloat(e.target.value);
+                value.textContent = formatParam(param, newValue);
+                audioEngine.setEffectParams(module.id, { [key]: newValue });
+                audioEngine.updateAudioParamsUI();
+            });
+            block.appendChild(slider);
+        });
+
+        listElement.appendChild(block);
+    });
+}
+
+/**
+ * Rebuild the saved audio preset list
+ */
+function updateAudioPresetList() {
+    const listElement = document.getElementById('audioPresetList');
+    if (!listElement) return;
+
+    listElement.innerHTML = '';
+    const presets = getAudioPresets();
+    Object.keys(presets).forEach(name => {
+        const preset = presets[name];
+        const row = document.createElement('button');
+        row.className = 'preset-item';
+        // Presets come from localStorage, so a module type may be unknown to this version
+        row.textContent = `${name} | ` + (preset.effectsRack || [])
+            .map(m => (EFFECT_TYPES[m.type] || {}).name || m.type).join(' → ');
+
+        row.addEventListener('click', async () => {
+            const nameInput = document.getElementById('audioPresetName');
+            if (nameInput) nameInput.value = name;
+
+            try {
+                await audioEngine.applyAudioPreset(preset);
+                showNotification('Audio preset loaded: ' + name, 'success');
+            } catch (error) {
+                console.error('Error loading audio preset:', error);
+                showNotification('Failed to load audio preset: ' + error.message, 'error');
+            }
+            updateEffectsRackPanel();
+        });
+
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Update the harmonics list for the selected string
+ *
+ * @param {object} app - Main application instance
+ */
+function updateHarmonicsPanel(app) {
+    const listElement = document.getElementById('harmonicList');
+    const string = app.interactionManager.getSelectedString();
+    if (!listElement || !string) return;
+
+    listElement.innerHTML = '';
+    string.getHarmonics(app.interactionManager.harmonicCount).forEach(harmonic => {
+        const row = document.createElement('button');
+        row.className = 'preset-item';
+        const cents = harmonic.centsDeviation > 0
+            ? '+' + harmonic.centsDeviation.toFixed(0)
+            : harmonic.centsDeviation.toFixed(0);
+        const nodeText = harmonic.number === 1 ? 'OPEN' : '1/' + harmonic.number;
+        row.textContent = `H${harmonic.number} | ${nodeText} | ${harmonic.noteName} ${cents}¢ | ` +
+            `${harmonic.frequency.toFixed(2)} Hz`;
+
+        row.addEventListener('click', () => {
+            if (harmonic.number === 1) {
+                string.pluckSegment('middle');
+            } else {
+                string.pluckHarmonic(harmonic.number);
+            }
+        });
+
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Update the frame load panel
+ *
+ * @param {object} app - Main application instance
+ */
+function updateFrameLoadPanel(app) {
+    const sectionsElement = document.getElementById('frameLoadSections');
+    if (!sectionsElement) return;
+
+    const analysis = analyzeFrameLoad(app.strings, app.loadSectionWidthMm);
+
+    const updateElement = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    };
+
+    updateElement('frameTotalLoad', analysis.totalLoad.toFixed(0) + ' N (' + (analysis.totalLoad / 9.80665).toFixed(0) + ' kgf)');
+    updateElement('frameLoadPerMetre', analysis.loadPerMetre.toFixed(0) + ' N/m');
+    updateElement('framePeakSection', '#' + analysis.peakSection.number + ': ' + analysis.peakSection.loadPerMetre.toFixed(0) + ' N/m');
+    updateElement('framePeakAnchor', analysis.peakAnchor
+        ? '#' + analysis.peakAnchor.stringNumber + ': ' + analysis.peakAnchor.tension.toFixed(1) + ' N'
+        : '--');
+
+    sectionsElement.innerHTML = '';
+    analysis.sections.forEach(section => {
+        const row = document.createElement('button');
+        row.className = 'preset-item';
+        row.textContent = `S${section.number} ${(section.startMm / 1000).toFixed(2)}–${(section.endMm / 1000).toFixed(2)}m | ` +
+            `${section.stringCount} str | ${section.load.toFixed(0)} N | ${section.loadPerMetre.toFixed(0)} N/m`;
+
+        if (section === analysis.peakSection) row.style.fontWeight = '600';
+
+        row.addEventListener('click', () => {
+            const indices = app.strings
+                .filter(s => s.xPos >= section.startMm && s.xPos < section.endMm)
+                .map(s => s.index);
+            if (indices.length === 0) return;
+
+            app.interactionManager.selectedStringIndices = indices;
+            app.interactionManager.selectString(indices[0]);
+            app.updateUI();
+        });
+
+        sectionsElement.appendChild(row);
+    });
+}
+
+/**
+ * Sync dropdown options and editor lists with user-defined materials and gauges
+ *
+ * @param {object} app - Main application instance
+ */
+function updateCustomMaterialControls(app) {
+    // Replace custom options in each dropdown, keeping the built-in ones from the markup
+    const syncOptions = (selectIds, registry) => {
+        selectIds.forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const current = select.value;
+            select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+
+            Object.keys(registry).forEach(key => {
+                if (!registry[key].custom) return;
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = registry[key].name.toUpperCase() + ' (CUSTOM)';
+                option.dataset.custom = 'true';
+                select.appendChild(option);
+            });
+
+            if (registry[current]) select.value = current;
+        });
+    };
+
+    syncOptions(['selectedStringMaterial', 'stringMaterial'], STRING_MATERIALS);
+    syncOptions(['selectedStringGauge', 'stringGauge'], STRING_GAUGES);
+
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+
+    // Editor lists - click an entry to load it into the form
+    const materialList = document.getElementById('customMaterialList');
+    if (materialList) {
+        materialList.innerHTML = '';
+        const materials = getCustomMaterials();
+        Object.keys(materials).forEach(key => {
+            const mat = materials[key];
+            const row = document.createElement('button');
+            row.className = 'preset-item';
+            row.textContent = `${mat.name} | ${mat.density} kg/m³ | ${(mat.youngsModulus / 1e9).toFixed(1)} GPa | ${mat.tensionRange[0]}–${mat.tensionRange[1]}N`;
+            row.style.borderLeft = `4px solid rgb(${mat.color.join(', ')})`;
+            row.addEventListener('click', () => {
+                setValue('customMaterialName', mat.name);
+                setValue('customMaterialDensity', mat.density);
+                setValue('customMaterialModulus', mat.youngsModulus / 1e9);
+                setValue('customMaterialStrength', mat.breakingStrength / 1e6);
+                setValue('customMaterialThermal', mat.assumedExpansion ? '' : +(mat.thermalExpansion * 1e6).toFixed(3));
+                setValue('customMaterialHygroscopic', mat.assumedExpansion ? '' : +(mat.hygroscopicExpansion * 1e6).toFixed(3));
+                setValue('customMaterialTensionMin', mat.tensionRange[0]);
+                setValue('customMaterialTensionMax', mat.tensionRange[1]);
+                setValue('customMaterialColor', '#' + mat.color.map(c => c.toString(16).padStart(2, '0')).join(''));
+            });
+            materialList.appendChild(row);
+        });
+    }
+
+    const gaugeList = document.getElementById('customGaugeList');
+    if (gaugeList) {
+        gaugeList.innerHTML = '';
+        const gauges = getCustomGauges();
+        Object.keys(gauges).forEach(key => {
+            const gauge = gauges[key];
+            const row = document.createElement('button');
+            row.className = 'preset-item';
+            row.textContent = `${gauge.name} | ${gauge.diameter}mm`;
+            row.addEventListener('click', () => {
+                setValue('customGaugeName', gauge.name);
+                setValue('customGaugeDiameter', gauge.diameter);
+            });
+            gaugeList.appendChild(row);
+        });
+    }
 }
 
 /**
@@ -142,7 +588,7 @@ function initializeUIControls(app) {
     if (initAudioBtn) {
         initAudioBtn.addEventListener('click', async () => {
             try {
-                await audioEngine.initialize(app.strings.length);
+                await audioEngine.initialize();
                 console.log("Audio system initialized successfully");
             } catch (error) {
                 console.error("Failed to initialize audio:", error);
@@ -293,6 +739,7 @@ function initializeUIControls(app) {
                 try {
                     const success = await loadConfigurationFromFile(e.target.files[0], app.strings);
                     if (success) {
+                        updateCustomMaterialControls(app);
                         app.updateUI();
                         console.log("Configuration imported successfully");
                     } else {
@@ -347,6 +794,7 @@ function initializeUIControls(app) {
             document.getElementById('reverbDecayVal').textContent = value.toFixed(1) + 's';
             if (audioEngine && audioEngine.initialized) {
                 audioEngine.updateParams({ reverbDecay: value });
+                updateEffectsRackPanel();
             }
         });
     }
@@ -357,6 +805,7 @@ function initializeUIControls(app) {
             document.getElementById('reverbWetVal').textContent = Math.round(value * 100) + '%';
             if (audioEngine && audioEngine.initialized) {
                 audioEngine.updateParams({ reverbWet: value });
+                updateEffectsRackPanel();
             }
         });
     }
@@ -711,6 +1160,417 @@ function initializeUIControls(app) {
         });
     }
 
+    // Sample sets become options of the engine dropdown once loaded
+    const loadSampleSet = document.getElementById('loadSampleSet');
+    const sampleSetFolder = document.getElementById('sampleSetFolder');
+
+    if (loadSampleSet && sampleSetFolder && audioEngineSelect) {
+        loadSampleSet.addEventListener('click', () => {
+            sampleSetFolder.click();
+        });
+
+        sampleSetFolder.addEventListener('change', async (e) => {
+            const files = e.target.files;
+            if (!files || files.length === 0) return;
+
+            if (!audioEngine) {
+                audioEngine = new HarpAudioEngine();
+            }
+
+            showLoadingIndicator('Loading samples...');
+            const engineType = await audioEngine.loadSampleSet(files);
+            hideLoadingIndicator();
+            sampleSetFolder.value = '';
+
+            if (!engineType) {
+                showNotification('Could not load sample set (see console)', 'error');
+                return;
+            }
+
+            let option = Array.from(audioEngineSelect.options).find(o => o.value === engineType);
+            if (!option) {
+                option = document.createElement('option');
+                option.value = engineType;
+                option.textContent = 'SAMPLER: ' + engineType.slice('sampler:'.length).toUpperCase();
+                audioEngineSelect.appendChild(option);
+            }
+            audioEngineSelect.value = engineType;
+            app.setAudioEngine(engineType);
+            showNotification('Sample set loaded: ' + engineType.slice('sampler:'.length), 'success');
+        });
+    }
+
+    // Voice pool controls
+    const polyphony = document.getElementById('polyphony');
+    const polyphonyValue = document.getElementById('polyphonyValue');
+    const voiceStealMode = document.getElementById('voiceStealMode');
+
+    if (polyphony) {
+        polyphony.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (polyphonyValue) {
+                polyphonyValue.textContent = value + ' VOICES';
+            }
+            if (audioEngine) {
+                audioEngine.setPolyphony(value);
+            }
+        });
+    }
+
+    if (voiceStealMode) {
+        voiceStealMode.addEventListener('change', (e) => {
+            if (audioEngine) {
+                audioEngine.setStealMode(e.target.value);
+            }
+        });
+    }
+
+    // Sympathetic resonance
+    const sympatheticAmount = document.getElementById('sympatheticAmount');
+    const sympatheticAmountValue = document.getElementById('sympatheticAmountValue');
+
+    if (sympatheticAmount) {
+        sympatheticAmount.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (sympatheticAmountValue) {
+                sympatheticAmountValue.textContent = value.toFixed(0) + '%';
+            }
+            if (audioEngine) {
+                audioEngine.setSympatheticAmount(value / 100);
+            }
+        });
+    }
+
+    // Convolution reverb
+    const loadImpulseResponse = document.getElementById('loadImpulseResponse');
+    const impulseResponseFile = document.getElementById('impulseResponseFile');
+    const convolutionOn = document.getElementById('convolutionOn');
+    const convolutionOff = document.getElementById('convolutionOff');
+    const convolutionMode = document.getElementById('convolutionMode');
+    const convolutionWet = document.getElementById('convolutionWet');
+    const convolutionWetValue = document.getElementById('convolutionWetValue');
+    const convolutionPreDelay = document.getElementById('convolutionPreDelay');
+    const convolutionPreDelayValue = document.getElementById('convolutionPreDelayValue');
+    const irTrimStart = document.getElementById('irTrimStart');
+    const irTrimStartValue = document.getElementById('irTrimStartValue');
+    const irTrimLength = document.getElementById('irTrimLength');
+    const irTrimLengthValue = document.getElementById('irTrimLengthValue');
+
+    if (loadImpulseResponse && impulseResponseFile) {
+        loadImpulseResponse.addEventListener('click', () => {
+            impulseResponseFile.click();
+        });
+
+        impulseResponseFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            if (!audioEngine) {
+                audioEngine = new HarpAudioEngine();
+            }
+
+            if (await audioEngine.loadImpulseResponse(file)) {
+                updateConvolutionControls();
+                showNotification('Impulse response loaded: ' + file.name, 'success');
+            } else {
+                showNotification('Could not decode impulse response: ' + file.name, 'error');
+            }
+            impulseResponseFile.value = '';
+        });
+    }
+
+    if (convolutionOn && convolutionOff) {
+        convolutionOn.addEventListener('click', () => {
+            if (audioEngine) audioEngine.setConvolution({ enabled: true });
+            updateConvolutionControls();
+        });
+
+        convolutionOff.addEventListener('click', () => {
+            if (audioEngine) audioEngine.setConvolution({ enabled: false });
+            updateConvolutionControls();
+        });
+    }
+
+    if (convolutionMode) {
+        convolutionMode.addEventListener('change', (e) => {
+            if (audioEngine) audioEngine.setConvolution({ mode: e.target.value });
+        });
+    }
+
+    if (convolutionWet) {
+        convolutionWet.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (convolutionWetValue) {
+                convolutionWetValue.textContent = value.toFixed(0) + '%';
+            }
+            if (audioEngine) audioEngine.setConvolution({ wet: value / 100 });
+        });
+    }
+
+    if (convolutionPreDelay) {
+        convolutionPreDelay.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (convolutionPreDelayValue) {
+                convolutionPreDelayValue.textContent = value.toFixed(0) + ' ms';
+            }
+            if (audioEngine) audioEngine.setConvolution({ preDelay: value / 1000 });
+        });
+    }
+
+    // Trimming re-loads the convolver, so apply on release rather than while dragging
+    if (irTrimStart) {
+        irTrimStart.addEventListener('input', (e) => {
+            if (irTrimStartValue) {
+                irTrimStartValue.textContent = parseFloat(e.target.value).toFixed(0) + ' ms';
+            }
+        });
+        irTrimStart.addEventListener('change', (e) => {
+            if (audioEngine) audioEngine.setConvolution({ trimStart: parseFloat(e.target.value) / 1000 });
+        });
+    }
+
+    if (irTrimLength) {
+        irTrimLength.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (irTrimLengthValue) {
+                irTrimLengthValue.textContent = value > 0 ? value.toFixed(1) + ' s' : 'FULL';
+            }
+        });
+        irTrimLength.addEventListener('change', (e) => {
+            if (audioEngine) audioEngine.setConvolution({ trimLength: parseFloat(e.target.value) });
+        });
+    }
+
+    // Effects rack and audio presets
+    const effectType = document.getElementById('effectType');
+    const addEffect = document.getElementById('addEffect');
+    const audioPresetName = document.getElementById('audioPresetName');
+    const saveAudioPresetButton = document.getElementById('saveAudioPreset');
+    const deleteAudioPresetButton = document.getElementById('deleteAudioPreset');
+
+    if (effectType && addEffect) {
+        Object.keys(EFFECT_TYPES).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = EFFECT_TYPES[type].name.toUpperCase();
+            effectType.appendChild(option);
+        });
+
+        addEffect.addEventListener('click', async () => {
+            if (!audioEngine) {
+                audioEngine = new HarpAudioEngine();
+            }
+            // The module shows while its nodes build, and goes again if the build fails
+            const added = audioEngine.addEffect(effectType.value);
+            updateEffectsRackPanel();
+            if (!(await added)) {
+                showNotification('Could not add ' + EFFECT_TYPES[effectType.value].name + ' - see console', 'error');
+                updateEffectsRackPanel();
+            }
+        });
+    }
+
+    if (saveAudioPresetButton && audioPresetName) {
+        saveAudioPresetButton.addEventListener('click', () => {
+            const name = audioPresetName.value.trim();
+            if (!name) {
+                showNotification('Enter a preset name', 'error');
+                return;
+            }
+            if (saveAudioPreset(name, audioEngine.getAudioPreset())) {
+                updateAudioPresetList();
+                showNotification('Audio preset saved: ' + name, 'success');
+            }
+        });
+    }
+
+    if (deleteAudioPresetButton && audioPresetName) {
+        deleteAudioPresetButton.addEventListener('click', () => {
+            const name = audioPresetName.value.trim();
+            if (deleteAudioPreset(name)) {
+                updateAudioPresetList();
+                showNotification('Audio preset deleted: ' + name, 'info');
+            } else {
+                showNotification('No preset named ' + name, 'error');
+            }
+        });
+    }
+
+    updateEffectsRackPanel();
+    updateAudioPresetList();
+
+    // Spectrum / scope panel
+    const scopeOn = document.getElementById('scopeOn');
+    const scopeOff = document.getElementById('scopeOff');
+    const scopeDock = document.getElementById('scopeDock');
+
+    if (scopeOn && scopeOff) {
+        scopeOn.addEventListener('click', () => {
+            scopeOn.classList.add('active');
+            scopeOff.classList.remove('active');
+            app.setScopePanel({ visible: true });
+        });
+
+        scopeOff.addEventListener('click', () => {
+            scopeOff.classList.add('active');
+            scopeOn.classList.remove('active');
+            app.setScopePanel({ visible: false });
+        });
+    }
+
+    if (scopeDock) {
+        scopeDock.addEventListener('change', (e) => {
+            app.setScopePanel({ dock: e.target.value });
+        });
+    }
+
+    // Damping: per-string let ring / damp after, plus damp actions
+    const letRing = document.getElementById('letRing');
+    const dampAfter = document.getElementById('dampAfter');
+    const dampAfterTime = document.getElementById('dampAfterTime');
+    const dampAfterTimeValue = document.getElementById('dampAfterTimeValue');
+    const dampRelease = document.getElementById('dampRelease');
+    const dampReleaseValue = document.getElementById('dampReleaseValue');
+    const dampSelection = document.getElementById('dampSelection');
+    const dampAllStrings = document.getElementById('dampAllStrings');
+
+    // Apply damping settings to the selected strings
+    const applyDamping = (letRingValue) => {
+        const selectedStrings = app.interactionManager.getSelectedStrings();
+        if (!selectedStrings || selectedStrings.length === 0) {
+            showNotification('Please select at least one string', 'error');
+            return 0;
+        }
+
+        const seconds = dampAfterTime ? parseFloat(dampAfterTime.value) : undefined;
+        const release = dampRelease ? parseFloat(dampRelease.value) / 1000 : undefined;
+        selectedStrings.forEach(string => {
+            string.setDamping(letRingValue === undefined ? string.letRing : letRingValue, seconds, release);
+        });
+        app.updateUI();
+        return selectedStrings.length;
+    };
+
+    if (letRing) {
+        letRing.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const count = applyDamping(true);
+            if (count > 0) showNotification(`${count} string(s) let ring`, 'success');
+        });
+    }
+
+    if (dampAfter) {
+        dampAfter.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const count = applyDamping(false);
+            if (count > 0) {
+                showNotification(`${count} string(s) damp after ${parseFloat(dampAfterTime.value).toFixed(1)} s`, 'success');
+            }
+        });
+    }
+
+    if (dampAfterTime) {
+        dampAfterTime.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (dampAfterTimeValue) {
+                dampAfterTimeValue.textContent = value.toFixed(1) + ' s';
+            }
+        });
+        dampAfterTime.addEventListener('change', () => applyDamping());
+    }
+
+    if (dampRelease) {
+        dampRelease.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (dampReleaseValue) {
+                dampReleaseValue.textContent = value.toFixed(0) + ' ms';
+            }
+        });
+        dampRelease.addEventListener('change', () => applyDamping());
+    }
+
+    if (dampSelection) {
+        dampSelection.addEventListener('click', (event) => {
+            event.stopPropagation();
+            app.interactionManager.dampSelectedStrings();
+            app.updateUI();
+        });
+    }
+
+    if (dampAllStrings) {
+        dampAllStrings.addEventListener('click', (event) => {
+            event.stopPropagation();
+            app.interactionManager.dampAllStrings();
+            app.updateUI();
+        });
+    }
+
+    // Stereo image controls
+    const stereoWidth = document.getElementById('stereoWidth');
+    const stereoWidthValue = document.getElementById('stereoWidthValue');
+    const listenerOn = document.getElementById('listenerOn');
+    const listenerOff = document.getElementById('listenerOff');
+    const listenerX = document.getElementById('listenerX');
+    const listenerXValue = document.getElementById('listenerXValue');
+    const listenerDistance = document.getElementById('listenerDistance');
+    const listenerDistanceValue = document.getElementById('listenerDistanceValue');
+
+    if (stereoWidth) {
+        stereoWidth.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (stereoWidthValue) {
+                stereoWidthValue.textContent = value.toFixed(0) + '%';
+            }
+            if (audioEngine) {
+                audioEngine.setSpatial({ width: value / 100 });
+            }
+        });
+    }
+
+    if (listenerOn && listenerOff) {
+        listenerOn.addEventListener('click', () => {
+            listenerOn.classList.add('active');
+            listenerOff.classList.remove('active');
+            if (audioEngine) {
+                audioEngine.setSpatial({ listenerEnabled: true });
+            }
+        });
+
+        listenerOff.addEventListener('click', () => {
+            listenerOff.classList.add('active');
+            listenerOn.classList.remove('active');
+            if (audioEngine) {
+                audioEngine.setSpatial({ listenerEnabled: false });
+            }
+        });
+    }
+
+    if (listenerX) {
+        listenerX.addEventListener('input', (e) => {
+            // Percent across the wall, so it follows wall size changes
+            const percent = parseFloat(e.target.value);
+            const positionMm = PHYSICS_CONSTANTS.WALL_WIDTH * percent / 100;
+            if (listenerXValue) {
+                listenerXValue.textContent = percent === 50 ? 'CENTER' : (positionMm / 304.8).toFixed(1) + ' ft';
+            }
+            if (audioEngine) {
+                audioEngine.setSpatial({ listenerPosition: percent / 100 });
+            }
+        });
+    }
+
+    if (listenerDistance) {
+        listenerDistance.addEventListener('input', (e) => {
+            const feet = parseFloat(e.target.value);
+            if (listenerDistanceValue) {
+                listenerDistanceValue.textContent = feet.toFixed(1) + ' ft';
+            }
+            if (audioEngine) {
+                audioEngine.setSpatial({ listenerDistanceMm: feet * 304.8 });
+            }
+        });
+    }
+
     // ADSR envelope controls
     const attackTime = document.getElementById('attackTime');
     const attackValue = document.getElementById('attackValue');
@@ -772,6 +1632,7 @@ function initializeUIControls(app) {
         filterType.addEventListener('change', (e) => {
             if (audioEngine && audioEngine.initialized) {
                 audioEngine.setFilter({type: e.target.value});
+                updateEffectsRackPanel();
                 showNotification(`Filter: ${e.target.options[e.target.selectedIndex].text}`, 'info');
             }
         });
@@ -783,6 +1644,7 @@ function initializeUIControls(app) {
             filterFreqValue.textContent = value + ' Hz';
             if (audioEngine && audioEngine.initialized) {
                 audioEngine.setFilter({frequency: value});
+                updateEffectsRackPanel();
             }
         });
     }
@@ -793,6 +1655,7 @@ function initializeUIControls(app) {
             filterQValue.textContent = value.toFixed(1);
             if (audioEngine && audioEngine.initialized) {
                 audioEngine.setFilter({Q: value});
+                updateEffectsRackPanel();
             }
         });
     }
@@ -800,6 +1663,7 @@ function initializeUIControls(app) {
     // Per-string material controls
     const selectedStringMaterial = document.getElementById('selectedStringMaterial');
     const selectedStringGauge = document.getElementById('selectedStringGauge');
+    const selectedStringWinding = document.getElementById('selectedStringWinding');
     const selectedStringTension = document.getElementById('selectedStringTension');
     const selectedStringTensionValue = document.getElementById('selectedStringTensionValue');
     const applySelectedStringMaterial = document.getElementById('applySelectedStringMaterial');
@@ -808,6 +1672,7 @@ function initializeUIControls(app) {
     // Cache user's selections to prevent them from being overwritten by updateInfoPanel
     let userMaterialSelection = null;
     let userGaugeSelection = null;
+    let userWindingSelection = null;
     let userTensionSelection = null;
 
     // Track when user changes the material dropdown
@@ -826,6 +1691,14 @@ function initializeUIControls(app) {
         });
     }
 
+    // Track when user changes the winding dropdown
+    if (selectedStringWinding) {
+        selectedStringWinding.addEventListener('change', (e) => {
+            userWindingSelection = e.target.value;
+            console.log('🧵 User changed winding to:', userWindingSelection);
+        });
+    }
+
     // Track when user changes the tension
     if (selectedStringTension) {
         selectedStringTension.addEventListener('input', (e) => {
@@ -848,13 +1721,14 @@ function initializeUIControls(app) {
             // Use cached user selections if available, otherwise fall back to current dropdown values
             const material = userMaterialSelection || selectedStringMaterial.value;
             const gauge = userGaugeSelection || selectedStringGauge.value;
+            const winding = userWindingSelection || (selectedStringWinding ? selectedStringWinding.value : undefined);
             const tension = userTensionSelection || parseInt(selectedStringTension.value);
 
             console.log('🔵 BUTTON CLICKED: applySelectedStringMaterial');
             console.log('📋 Dropdown.value =', selectedStringMaterial.value);
             console.log('📋 Dropdown.selectedIndex =', selectedStringMaterial.selectedIndex);
-            console.log('💾 Cached user selections:', { userMaterialSelection, userGaugeSelection, userTensionSelection });
-            console.log('🎯 USING VALUES: material="' + material + '", gauge="' + gauge + '", tension=' + tension);
+            console.log('💾 Cached user selections:', { userMaterialSelection, userGaugeSelection, userWindingSelection, userTensionSelection });
+            console.log('🎯 USING VALUES: material="' + material + '", gauge="' + gauge + '", winding="' + winding + '", tension=' + tension);
 
             const selectedStrings = app.interactionManager.getSelectedStrings();
             console.log(`🔍 Selected strings count: ${selectedStrings.length}`, selectedStrings);
@@ -872,7 +1746,7 @@ function initializeUIControls(app) {
                 const colorBefore = [...string.color];
                 console.log(`   String #${string.index + 1} - Color BEFORE:`, colorBefore);
 
-                string.setMaterial(material, gauge, tension);
+                string.setMaterial(material, gauge, tension, winding);
 
                 console.log(`   String #${string.index + 1} - Color AFTER:`, string.color);
             });
@@ -880,6 +1754,7 @@ function initializeUIControls(app) {
             // Clear cached selections after applying
             userMaterialSelection = null;
             userGaugeSelection = null;
+            userWindingSelection = null;
             userTensionSelection = null;
 
             console.log('✅ Calling app.updateUI()');
@@ -887,7 +1762,9 @@ function initializeUIControls(app) {
 
             const matName = STRING_MATERIALS[material].name;
             const gaugeName = STRING_GAUGES[gauge].name;
-            showNotification(`Applied ${matName} ${gaugeName} @ ${tension}N to ${selectedStrings.length} string(s)`, 'success');
+            const wrap = STRING_WINDINGS[winding];
+            const windingName = wrap && wrap.wrapMaterial ? ' + ' + wrap.name : '';
+            showNotification(`Applied ${matName} ${gaugeName}${windingName} @ ${tension}N to ${selectedStrings.length} string(s)`, 'success');
         });
     } else {
         console.error('❌ Material button or dropdowns not found!', {
@@ -909,10 +1786,11 @@ function initializeUIControls(app) {
             // Use cached user selections if available, otherwise fall back to current dropdown values
             const material = userMaterialSelection || selectedStringMaterial.value;
             const gauge = userGaugeSelection || selectedStringGauge.value;
+            const winding = userWindingSelection || (selectedStringWinding ? selectedStringWinding.value : undefined);
             const tension = userTensionSelection || parseInt(selectedStringTension.value);
 
-            console.log('💾 Cached user selections:', { userMaterialSelection, userGaugeSelection, userTensionSelection });
-            console.log('🎯 USING VALUES: material="' + material + '", gauge="' + gauge + '", tension=' + tension);
+            console.log('💾 Cached user selections:', { userMaterialSelection, userGaugeSelection, userWindingSelection, userTensionSelection });
+            console.log('🎯 USING VALUES: material="' + material + '", gauge="' + gauge + '", winding="' + winding + '", tension=' + tension);
             console.log(`🎨 Applying material to ALL ${app.strings.length} strings: ${material} (${STRING_MATERIALS[material].name})`);
             console.log(`📊 Material color from constants:`, STRING_MATERIALS[material].color);
 
@@ -921,7 +1799,7 @@ function initializeUIControls(app) {
                 const colorBefore = [...string.color];
                 console.log(`   String #${string.index + 1} - Color BEFORE:`, colorBefore);
 
-                string.setMaterial(material, gauge, tension);
+                string.setMaterial(material, gauge, tension, winding);
 
                 console.log(`   String #${string.index + 1} - Color AFTER:`, string.color);
             });
@@ -929,6 +1807,7 @@ function initializeUIControls(app) {
             // Clear cached selections after applying
             userMaterialSelection = null;
             userGaugeSelection = null;
+            userWindingSelection = null;
             userTensionSelection = null;
 
             console.log('✅ Calling app.updateUI()');
@@ -936,7 +1815,9 @@ function initializeUIControls(app) {
 
             const matName = STRING_MATERIALS[material].name;
             const gaugeName = STRING_GAUGES[gauge].name;
-            showNotification(`Applied ${matName} ${gaugeName} @ ${tension}N to ALL ${app.strings.length} strings`, 'success');
+            const wrap = STRING_WINDINGS[winding];
+            const windingName = wrap && wrap.wrapMaterial ? ' + ' + wrap.name : '';
+            showNotification(`Applied ${matName} ${gaugeName}${windingName} @ ${tension}N to ALL ${app.strings.length} strings`, 'success');
         });
     } else {
         console.error('❌ APPLY ALL button or dropdowns not found!', {
@@ -947,6 +1828,325 @@ function initializeUIControls(app) {
         });
     }
 
+    // Custom material and gauge editor
+    const saveCustomMaterial = document.getElementById('saveCustomMaterial');
+    const deleteCustomMaterial = document.getElementById('deleteCustomMaterial');
+    const saveCustomGauge = document.getElementById('saveCustomGauge');
+    const deleteCustomGauge = document.getElementById('deleteCustomGauge');
+
+    const readNumber = (id) => {
+        const element = document.getElementById(id);
+        return element ? parseFloat(element.value) : NaN;
+    };
+    const readText = (id) => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    // Re-apply a registry entry to the strings that use it
+    const refreshStringsUsing = (predicate) => {
+        app.strings.forEach(string => {
+            if (predicate(string)) {
+                string.setMaterial(string.material, string.gauge, string.tension);
+            }
+        });
+        app.updateUI();
+    };
+
+    if (saveCustomMaterial) {
+        saveCustomMaterial.addEventListener('click', () => {
+            const hex = readText('customMaterialColor') || '#969696';
+            const key = registerCustomMaterial({
+                name: readText('customMaterialName'),
+                density: readNumber('customMaterialDensity'),
+                youngsModulus: readNumber('customMaterialModulus') * 1e9,
+                breakingStrength: readNumber('customMaterialStrength') * 1e6,
+                thermalExpansion: readNumber('customMaterialThermal') * 1e-6,
+                hygroscopicExpansion: readNumber('customMaterialHygroscopic') * 1e-6,
+                tensionRange: [readNumber('customMaterialTensionMin'), readNumber('customMaterialTensionMax')],
+                color: [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16))
+            });
+
+            if (!key) {
+                showNotification('Invalid material - check name, numbers and tension range', 'error');
+                return;
+            }
+
+            updateCustomMaterialControls(app);
+            refreshStringsUsing(string => string.material === key);
+            showNotification(`Saved material: ${STRING_MATERIALS[key].name}`, 'success');
+        });
+    }
+
+    if (deleteCustomMaterial) {
+        deleteCustomMaterial.addEventListener('click', () => {
+            const key = makeCustomKey(readText('customMaterialName'));
+            if (!STRING_MATERIALS[key] || !STRING_MATERIALS[key].custom) {
+                showNotification('No custom material with that name', 'error');
+                return;
+            }
+            if (!removeCustomMaterial(key, app.strings)) {
+                showNotification('Material is in use by one or more strings', 'error');
+                return;
+            }
+            updateCustomMaterialControls(app);
+            showNotification('Custom material deleted', 'info');
+        });
+    }
+
+    if (saveCustomGauge) {
+        saveCustomGauge.addEventListener('click', () => {
+            const key = registerCustomGauge({
+                name: readText('customGaugeName'),
+                diameter: readNumber('customGaugeDiameter')
+            });
+
+            if (!key) {
+                showNotification('Invalid gauge - check name and diameter', 'error');
+                return;
+            }
+
+            updateCustomMaterialControls(app);
+            refreshStringsUsing(string => string.gauge === key);
+            showNotification(`Saved gauge: ${STRING_GAUGES[key].name} (${STRING_GAUGES[key].diameter}mm)`, 'success');
+        });
+    }
+
+    if (deleteCustomGauge) {
+        deleteCustomGauge.addEventListener('click', () => {
+            const key = makeCustomKey(readText('customGaugeName'));
+            if (!STRING_GAUGES[key] || !STRING_GAUGES[key].custom) {
+                showNotification('No custom gauge with that name', 'error');
+                return;
+            }
+            if (!removeCustomGauge(key, app.strings)) {
+                showNotification('Gauge is in use by one or more strings', 'error');
+                return;
+            }
+            updateCustomMaterialControls(app);
+            showNotification('Custom gauge deleted', 'info');
+        });
+    }
+
+    // Environment drift controls
+    const environmentProfile = document.getElementById('environmentProfile');
+    const environmentProfileText = document.getElementById('environmentProfileText');
+    const environmentHour = document.getElementById('environmentHour');
+    const environmentHourValue = document.getElementById('environmentHourValue');
+    const environmentStatus = document.getElementById('environmentStatus');
+    const environmentDriftOn = document.getElementById('environmentDriftOn');
+    const environmentDriftOff = document.getElementById('environmentDriftOff');
+    const runEnvironmentSimulation = document.getElementById('runEnvironmentSimulation');
+    const exportDriftCSV = document.getElementById('exportDriftCSV');
+    const environmentResults = document.getElementById('environmentResults');
+
+    const updateEnvironmentStatus = () => {
+        if (environmentStatus) {
+            const statusValue = environmentStatus.querySelector('.status-value');
+            if (statusValue) {
+                statusValue.textContent = `${environment.temperature.toFixed(1)}°C / ${environment.humidity.toFixed(0)}% RH`;
+            }
+        }
+        app.updateUI();
+    };
+
+    // Returns false if the custom profile text does not parse
+    const applyEnvironmentProfile = () => {
+        if (!environmentProfile) return true;
+
+        if (environmentProfile.value === 'custom') {
+            const profile = parseEnvironmentProfile(environmentProfileText ? environmentProfileText.value : '');
+            if (!profile) {
+                showNotification('Invalid profile - use one "hour, °C, %RH" point per line', 'error');
+                return false;
+            }
+            environment.setProfile(profile);
+        } else {
+            environment.setProfile(ENVIRONMENT_PROFILES[environmentProfile.value]);
+        }
+
+        updateEnvironmentStatus();
+        return true;
+    };
+
+    if (environmentProfile) {
+        environmentProfile.addEventListener('change', applyEnvironmentProfile);
+    }
+
+    if (environmentProfileText) {
+        environmentProfileText.addEventListener('change', () => {
+            if (environmentProfile) environmentProfile.value = 'custom';
+            applyEnvironmentProfile();
+        });
+    }
+
+    if (environmentHour) {
+        environmentHour.addEventListener('input', (e) => {
+            const hour = parseFloat(e.target.value);
+            if (environmentHourValue) {
+                const minutes = Math.round((hour % 1) * 60);
+                environmentHourValue.textContent = String(Math.floor(hour)).padStart(2, '0') + ':' + String(minutes).padStart(2, '0');
+            }
+            environment.setHour(hour);
+            updateEnvironmentStatus();
+        });
+    }
+
+    if (environmentDriftOn && environmentDriftOff) {
+        environmentDriftOn.addEventListener('click', () => {
+            environmentDriftOn.classList.add('active');
+            environmentDriftOff.classList.remove('active');
+            environment.showDrift = true;
+            app.updateUI();
+        });
+
+        environmentDriftOff.addEventListener('click', () => {
+            environmentDriftOff.classList.add('active');
+            environmentDriftOn.classList.remove('active');
+            environment.showDrift = false;
+            app.updateUI();
+        });
+    }
+
+    if (runEnvironmentSimulation) {
+        runEnvironmentSimulation.addEventListener('click', () => {
+            if (!applyEnvironmentProfile()) return;
+
+            const simulation = environment.simulateProfile(app.strings);
+
+            if (environmentResults) {
+                environmentResults.innerHTML = '';
+                simulation.summary
+                    .slice()
+                    .sort((a, b) => b.rangeCents - a.rangeCents)
+                    .forEach(entry => {
+                        const row = document.createElement('button');
+                        row.className = 'preset-item';
+                        row.textContent = `#${entry.stringNumber} ${entry.noteName} | ${STRING_MATERIALS[entry.material].name} | ` +
+                            `${entry.minCents.toFixed(1)} to ${entry.maxCents >= 0 ? '+' : ''}${entry.maxCents.toFixed(1)}¢ | range ${entry.rangeCents.toFixed(1)}¢` +
+                            (entry.assumedExpansion ? ' | default expansion' : '');
+                        row.addEventListener('click', () => {
+                            const index = entry.stringNumber - 1;
+                            app.interactionManager.selectedStringIndices = [index];
+                            app.interactionManager.selectString(index);
+                            app.updateUI();
+                        });
+                        environmentResults.appendChild(row);
+                    });
+            }
+
+            showNotification(`Simulated ${environment.profile.name} over 24h`, 'success');
+        });
+    }
+
+    if (exportDriftCSV) {
+        exportDriftCSV.addEventListener('click', () => {
+            if (!applyEnvironmentProfile()) return;
+
+            const simulation = environment.simulateProfile(app.strings);
+            downloadDriftCSV(app.strings, simulation);
+            showNotification('Drift CSV exported', 'success');
+        });
+    }
+
+    // Harmonic node markers
+    const harmonicCount = document.getElementById('harmonicCount');
+    const harmonicCountValue = document.getElementById('harmonicCountValue');
+
+    if (harmonicCount) {
+        harmonicCount.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (harmonicCountValue) {
+                harmonicCountValue.textContent = value;
+            }
+            app.setHarmonicCount(value);
+        });
+    }
+
+    // Safety factor threshold for the string safety report
+    const safetyFactor = document.getElementById('safetyFactor');
+    const safetyFactorValue = document.getElementById('safetyFactorValue');
+
+    if (safetyFactor) {
+        safetyFactor.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (safetyFactorValue) {
+                safetyFactorValue.textContent = value.toFixed(1) + '×';
+            }
+            app.setSafetyFactor(value);
+        });
+    }
+
+    // Frame load section width and export
+    const loadSectionWidth = document.getElementById('loadSectionWidth');
+    const loadSectionWidthValue = document.getElementById('loadSectionWidthValue');
+    const exportLoadCSV = document.getElementById('exportLoadCSV');
+
+    if (loadSectionWidth) {
+        loadSectionWidth.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (loadSectionWidthValue) {
+                loadSectionWidthValue.textContent = value + ' mm';
+            }
+            app.loadSectionWidthMm = value;
+            updateFrameLoadPanel(app);
+        });
+    }
+
+    if (exportLoadCSV) {
+        exportLoadCSV.addEventListener('click', () => {
+            downloadLoadCSV(app.strings, app.loadSectionWidthMm);
+            showNotification('Frame load CSV exported', 'success');
+        });
+    }
+
+    // Tuning method: solve tension for fixed capos, or capos for fixed tension
+    const tuneByTension = document.getElementById('tuneByTension');
+    const tuneByCapos = document.getElementById('tuneByCapos');
+
+    if (tuneByTension) {
+        tuneByTension.addEventListener('click', (event) => {
+            event.stopPropagation();
+
+            const selectedStrings = app.interactionManager.getSelectedStrings();
+            if (!selectedStrings || selectedStrings.length === 0) {
+                showNotification('Please select at least one string', 'error');
+                return;
+            }
+
+            let outOfRange = 0;
+            selectedStrings.forEach(string => {
+                const result = string.setTuneByTension(true);
+                if (!result.inRange) outOfRange++;
+            });
+
+            app.updateUI();
+
+            if (outOfRange > 0) {
+                showNotification(`${outOfRange} of ${selectedStrings.length} string(s) need tension outside the material range`, 'error');
+            } else {
+                showNotification(`Tuned ${selectedStrings.length} string(s) by tension`, 'success');
+            }
+        });
+    }
+
+    if (tuneByCapos) {
+        tuneByCapos.addEventListener('click', (event) => {
+            event.stopPropagation();
+
+            const selectedStrings = app.interactionManager.getSelectedStrings();
+            if (!selectedStrings || selectedStrings.length === 0) {
+                showNotification('Please select at least one string', 'error');
+                return;
+            }
+
+            selectedStrings.forEach(string => string.setTuneByTension(false));
+
+            app.updateUI();
+            showNotification(`Tuned ${selectedStrings.length} string(s) by capo position`, 'success');
+        });
+    }
+
     // Keyboard shortcuts - prevent conflict with text inputs
     document.addEventListener('keydown', (e) => {
         // Don't process shortcuts if typing in an input
@@ -966,6 +2166,7 @@ function initializeUIControls(app) {
             const selected = app.interactionManager.getSelectedString();
             if (selected) {
                 updateInfoPanel(selected);
+                updateHarmonicsPanel(app);
             }
         }
     });
@@ -1011,9 +2212,15 @@ function initializeUIControls(app) {
                 // Use the v2.0 importConfiguration function from utils.js
                 const success = await loadConfigurationFromFile(file, app.strings);
                 if (success) {
+                    updateCustomMaterialControls(app);
                     app.updateUI();
                     app.redraw();
+                    updateConvolutionControls();
                     showNotification('Project loaded successfully', 'success');
+
+                    if (audioEngine && audioEngine.convolution.irName && !audioEngine.isImpulseResponseLoaded()) {
+                        showNotification(`Load impulse response "${audioEngine.convolution.irName}" to hear the convolution reverb`, 'info', 5000);
+                    }
                 } else {
                     showNotification('Failed to load project', 'error');
                 }
@@ -1036,6 +2243,14 @@ function initializeUIControls(app) {
     const sequencerLoopOn = document.getElementById('sequencerLoopOn');
     const sequencerLoopOff = document.getElementById('sequencerLoopOff');
 
+    // Report where the sequence notation failed to parse
+    const showSequenceError = () => {
+        const error = sequencer.parseError;
+        showNotification(error
+            ? `Sequence line ${error.line}, column ${error.column}: ${error.message}`
+            : 'Please enter a sequence', 'error', 5000);
+    };
+
     // Set app reference in sequencer
     if (typeof sequencer !== 'undefined') {
         sequencer.setApp(app);
@@ -1069,13 +2284,16 @@ function initializeUIControls(app) {
             // Parse and set sequence
             const valid = sequencer.setSequence(sequenceString);
             if (!valid) {
-                showNotification('Invalid sequence format. Use comma-separated numbers (e.g., 1, 2, 3)', 'error');
+                showSequenceError();
                 return;
             }
 
             // Start playback
-            sequencer.play();
-            showNotification('Sequencer started', 'success');
+            if (sequencer.play()) {
+                showNotification('Sequencer started', 'success');
+            } else if (!audioEngine || !audioEngine.initialized) {
+                showNotification('Start audio before playing the sequence', 'warning');
+            }
         });
     }
 
@@ -1108,6 +2326,252 @@ function initializeUIControls(app) {
         });
     }
 
+    // MIDI file import and export
+    const midiMapping = document.getElementById('midiMapping');
+    const midiExportSource = document.getElementById('midiExportSource');
+    const importMidi = document.getElementById('importMidi');
+    const exportMidi = document.getElementById('exportMidi');
+    const midiFileInput = document.getElementById('midiFileInput');
+
+    if (importMidi && midiFileInput && sequenceInput) {
+        importMidi.addEventListener('click', () => {
+            midiFileInput.click();
+        });
+
+        midiFileInput.addEventListener('change', async (e) => {
+            if (e.target.files.length === 0) return;
+
+            const file = e.target.files[0];
+            midiFileInput.value = '';
+
+            const midi = parseMidiFile(await file.arrayBuffer());
+            if (!midi) {
+                showNotification('Could not read MIDI file - see console', 'error');
+                return;
+            }
+
+            const mode = midiMapping ? midiMapping.value : 'exact';
+            const mapping = mapMidiNotesToStrings(midi.notes, app.strings, mode);
+            if (mapping.notes.length === 0) {
+                showNotification(`No notes in ${file.name} match a string (${mode} mapping)`, 'error', 5000);
+                return;
+            }
+
+            // Steps are laid out at the tempo the sequencer accepted, so the timing holds if it was clamped
+            sequencer.setTempo(Math.round(midi.tempo));
+            if (sequencerTempo) sequencerTempo.value = sequencer.tempo;
+            if (sequencerTempoValue) sequencerTempoValue.textContent = sequencer.tempo + ' BPM';
+            if (sequencer.tempo !== Math.round(midi.tempo)) {
+                console.warn(`MIDI import: tempo ${Math.round(midi.tempo)} BPM is out of range, using ${sequencer.tempo} BPM`);
+                showNotification(`${file.name} is at ${Math.round(midi.tempo)} BPM - playing at ${sequencer.tempo} BPM ` +
+                    'with the same timing', 'warning', 6000);
+            }
+
+            sequenceInput.value = formatSequence(midiNotesToSteps(mapping.notes, sequencer.tempo));
+            sequencer.setSequence(sequenceInput.value);
+
+            if (mapping.unmatched.length > 0) {
+                const names = Array.from(new Set(mapping.unmatched.map(note => midiToNoteName(note.midi))));
+                console.warn(`MIDI import: no string for ${names.join(', ')}`);
+                showNotification(`Imported ${mapping.notes.length} notes - ${mapping.unmatched.length} have no string: ` +
+                    names.slice(0, 8).join(', ') + (names.length > 8 ? '...' : ''), 'warning', 6000);
+            } else {
+                showNotification(`Imported ${mapping.notes.length} notes from ${file.name}`, 'success');
+            }
+        });
+    }
+
+    if (exportMidi) {
+        exportMidi.addEventListener('click', () => {
+            let events;
+            if (midiExportSource && midiExportSource.value === 'recording') {
+                events = audioEngine ? audioEngine.lastRecording : [];
+            } else {
+                if (sequenceInput && sequenceInput.value.trim() && !sequencer.setSequence(sequenceInput.value.trim())) {
+                    showSequenceError();
+                    return;
+                }
+                events = sequencer.getPerformance();
+            }
+
+            if (!events || events.length === 0) {
+                showNotification('Nothing to export - set a sequence or record a performance', 'warning');
+                return;
+            }
+
+            downloadMidiFile(events, sequencer.tempo);
+            showNotification(`Exported ${events.length} notes as MIDI`, 'success');
+        });
+    }
+
+    // Piano roll editor
+    const openPianoRoll = document.getElementById('openPianoRoll');
+    const pianoRollPanel = document.getElementById('pianoRollPanel');
+    const pianoRollClose = document.getElementById('pianoRollClose');
+    const pianoRollZoomIn = document.getElementById('pianoRollZoomIn');
+    const pianoRollZoomOut = document.getElementById('pianoRollZoomOut');
+    const pianoRollSnap = document.getElementById('pianoRollSnap');
+    const pianoRollClearLoop = document.getElementById('pianoRollClearLoop');
+
+    if (typeof pianoRoll !== 'undefined' && openPianoRoll && pianoRollPanel) {
+        pianoRoll.setApp(app);
+
+        // Grid edits rewrite the sequence text, so the text and the grid stay the same sequence
+        pianoRoll.onChange = () => {
+            if (sequenceInput) {
+                sequenceInput.value = formatSequence(sequencer.sequence);
+            }
+        };
+
+        const setPianoRollVisible = (visible) => {
+            pianoRollPanel.classList.toggle('hidden', !visible);
+            openPianoRoll.textContent = visible ? 'CLOSE PIANO ROLL' : 'PIANO ROLL';
+            if (visible) {
+                pianoRoll.show('pianoRollContainer');
+            } else {
+                pianoRoll.hide();
+            }
+        };
+
+        // Presses on the panel are not meant for the strings drawn under it
+        pianoRollPanel.addEventListener('mousedown', (e) => e.stopPropagation());
+
+        openPianoRoll.addEventListener('click', () => {
+            const visible = pianoRollPanel.classList.contains('hidden');
+            if (visible && sequenceInput && sequenceInput.value.trim() && !sequencer.setSequence(sequenceInput.value.trim())) {
+                showSequenceError();
+            }
+            setPianoRollVisible(visible);
+        });
+
+        if (pianoRollClose) {
+            pianoRollClose.addEventListener('click', () => setPianoRollVisible(false));
+        }
+
+        // Typed changes show up in the grid
+        if (sequenceInput) {
+            sequenceInput.addEventListener('change', () => {
+                if (!pianoRoll.visible) return;
+                if (!sequencer.setSequence(sequenceInput.value.trim()) && sequencer.parseError) {
+                    showSequenceError();
+                }
+            });
+        }
+
+        if (pianoRollZoomIn) {
+            pianoRollZoomIn.addEventListener('click', () => pianoRoll.setZoom(VISUAL_CONSTANTS.PIANO_ROLL_ZOOM_STEP));
+        }
+
+        if (pianoRollZoomOut) {
+            pianoRollZoomOut.addEventListener('click', () => pianoRoll.setZoom(1 / VISUAL_CONSTANTS.PIANO_ROLL_ZOOM_STEP));
+        }
+
+        if (pianoRollSnap) {
+            pianoRollSnap.addEventListener('change', (e) => {
+                pianoRoll.setSnap(1 / parseInt(e.target.value));
+            });
+        }
+
+        if (pianoRollClearLoop) {
+            pianoRollClearLoop.addEventListener('click', () => sequencer.setLoopRegion(null));
+        }
+    }
+
+    // Offline render controls
+    const renderSource = document.getElementById('renderSource');
+    const recordPerformance = document.getElementById('recordPerformance');
+    const recordStatus = document.getElementById('recordStatus');
+    const renderLength = document.getElementById('renderLength');
+    const renderLengthValue = document.getElementById('renderLengthValue');
+    const renderTail = document.getElementById('renderTail');
+    const renderTailValue = document.getElementById('renderTailValue');
+    const renderBitDepth = document.getElementById('renderBitDepth');
+    const renderWav = document.getElementById('renderWav');
+
+    if (renderLength && renderLengthValue) {
+        renderLength.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            renderLengthValue.textContent = value > 0 ? value.toFixed(0) + ' s' : 'AUTO';
+        });
+    }
+
+    if (renderTail && renderTailValue) {
+        renderTail.addEventListener('input', (e) => {
+            renderTailValue.textContent = parseFloat(e.target.value).toFixed(1) + ' s';
+        });
+    }
+
+    if (recordPerformance) {
+        recordPerformance.addEventListener('click', () => {
+            if (!audioEngine || !audioEngine.initialized) {
+                showNotification('Initialize audio first', 'warning');
+                return;
+            }
+
+            const statusValue = recordStatus ? recordStatus.querySelector('.status-value') : null;
+
+            if (audioEngine.recording) {
+                const events = audioEngine.stopRecording();
+                recordPerformance.textContent = '● RECORD';
+                if (statusValue) {
+                    statusValue.textContent = events.length + ' NOTES';
+                    statusValue.style.color = '';
+                }
+                if (renderSource) renderSource.value = 'recording';
+                showNotification(`Recorded ${events.length} notes`, 'success');
+            } else {
+                audioEngine.startRecording();
+                recordPerformance.textContent = '■ STOP RECORDING';
+                if (statusValue) {
+                    statusValue.textContent = 'ON';
+                    statusValue.style.color = '#ff0000';
+                }
+            }
+        });
+    }
+
+    if (renderWav) {
+        renderWav.addEventListener('click', async () => {
+            if (!audioEngine) {
+                audioEngine = new HarpAudioEngine();
+            }
+
+            let events;
+            if (renderSource && renderSource.value === 'recording') {
+                events = audioEngine.lastRecording;
+            } else {
+                if (sequenceInput && sequenceInput.value.trim() && !sequencer.setSequence(sequenceInput.value.trim())) {
+                    showSequenceError();
+                    return;
+                }
+                events = sequencer.getPerformance();
+            }
+
+            if (!events || events.length === 0) {
+                showNotification('Nothing to render - set a sequence or record a performance', 'warning');
+                return;
+            }
+
+            renderWav.disabled = true;
+            showNotification('Rendering...', 'info');
+
+            const buffer = await audioEngine.renderOffline(events, {
+                length: renderLength ? parseFloat(renderLength.value) : 0,
+                tail: renderTail ? parseFloat(renderTail.value) : AUDIO_CONSTANTS.RENDER_TAIL
+            });
+
+            renderWav.disabled = false;
+
+            if (buffer) {
+                const bitDepth = renderBitDepth ? parseInt(renderBitDepth.value) : AUDIO_CONSTANTS.RENDER_BIT_DEPTH;
+                downloadWAV(buffer, bitDepth);
+                showNotification(`Rendered ${buffer.duration.toFixed(1)}s WAV (${bitDepth}-bit)`, 'success');
+            } else {
+                showNotification('Render failed - see console', 'error');
+            }
+        });
+    }
+
     console.log("UI controls initialized");
 }
 
@@ -1290,6 +2754,14 @@ if (document.readyState === 'loading') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         updateInfoPanel,
+        updateSafetyReport,
+        updateHarmonicsPanel,
+        updateTunerReading,
+        updateConvolutionControls,
+        updateEffectsRackPanel,
+        updateAudioPresetList,
+        updateFrameLoadPanel,
+        updateCustomMaterialControls,
         initializeUIControls,
         updateStringCountDisplay,
         showNotification,
@@ -14,6 +14,11 @@ function exportConfiguration(strings) {
         version: "2.0",  // Updated version to include draw mode
         timestamp: new Date().toISOString(),
         numStrings: strings.length,
+        // User-defined materials and gauges travel with the project
+        customMaterials: getCustomMaterials(),
+        customGauges: getCustomGauges(),
+        // Convolution reverb settings; the IR file is referenced by name only
+        convolution: audioEngine ? audioEngine.getConvolutionSettings() : null,
         strings: strings.map(s => ({
             index: s.index,
             lowerCapoMm: s.lowerCapoMm,
@@ -29,7 +34,12 @@ function exportConfiguration(strings) {
             endY: s.endY,
             material: s.material,
             gauge: s.gauge,
-            tension: s.tension
+            winding: s.winding,
+            tension: s.tension,
+            tuneByTension: s.tuneByTension,
+            letRing: s.letRing,
+            dampAfter: s.dampAfter,
+            dampRelease: s.dampRelease
         }))
     };
 
@@ -57,10 +67,29 @@ function importConfiguration(jsonString, strings) {
             return false;
         }
 
+        // Register custom materials and gauges before strings reference them
+        if (config.customMaterials) {
+            Object.keys(config.customMaterials).forEach(key => {
+                registerCustomMaterial(config.customMaterials[key], key);
+            });
+        }
+        if (config.customGauges) {
+            Object.keys(config.customGauges).forEach(key => {
+                registerCustomGauge(config.customGauges[key], key);
+            });
+        }
+
+        if (config.convolution && audioEngine) {
+            audioEngine.setConvolution(config.convolution);
+            if (config.convolution.irName && !audioEngine.isImpulseResponseLoaded()) {
+                console.warn(`Project uses impulse response "${config.convolution.irName}" - load it to hear the convolution reverb`);
+            }
+        }
+
         // Apply configuration data
         config.strings.forEach((stringData, index) => {
             if (strings[index]) {
-                // Apply capo positions (for backward compatibility with v1.0)
+                // Apply capo positions (for backward compatibility with v1.0), tuning and damping
                 strings[index].setStringData(stringData);
 
                 // Apply draw mode data (v2.0+)
@@ -75,6 +104,7 @@ function importConfiguration(jsonString, strings) {
                     if (stringData.material) strings[index].material = stringData.material;
                     if (stringData.gauge) strings[index].gauge = stringData.gauge;
                     if (stringData.tension) strings[index].tension = stringData.tension;
+                    if (stringData.winding) strings[index].winding = stringData.winding;
 
                     // Recalculate with new data
                     strings[index].updateCalculations();
@@ -144,6 +174,244 @@ function loadConfigurationFromFile(file, strings) {
     });
 }
 
+/**
+ * Build a custom-entry key from a display name
+ *
+ * @param {string} name - Display name
+ * @returns {string} - Key such as "custom_titanium"
+ */
+function makeCustomKey(name) {
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return 'custom_' + slug;
+}
+
+/**
+ * Add or update a user-defined string material in STRING_MATERIALS
+ *
+ * Without both expansion coefficients the drift model falls back to generic values and
+ * the material is flagged assumedExpansion, so drift readouts can say so.
+ *
+ * @param {object} definition - {name, density, youngsModulus, tensionRange, color, breakingStrength,
+ *                              yieldStrength?, thermalExpansion?, hygroscopicExpansion?, lossFactor?, defaultTension?, description?}
+ * @param {string} key - Existing key to reuse (optional, derived from name otherwise)
+ * @returns {string|null} - Material key, or null if the definition is invalid
+ */
+function registerCustomMaterial(definition, key) {
+    if (!definition || !definition.name || !definition.name.trim()) {
+        console.error("Custom material needs a name");
+        return null;
+    }
+
+    const positive = ['density', 'youngsModulus', 'breakingStrength'];
+    for (const field of positive) {
+        if (!(definition[field] > 0)) {
+            console.error(`Custom material "${definition.name}": ${field} must be a positive number`);
+            return null;
+        }
+    }
+
+    const range = definition.tensionRange;
+    if (!Array.isArray(range) || !(range[0] > 0) || !(range[1] > range[0])) {
+        console.error(`Custom material "${definition.name}": tension range must be [min, max] with 0 < min < max`);
+        return null;
+    }
+
+    key = key || makeCustomKey(definition.name);
+    if (STRING_MATERIALS[key] && !STRING_MATERIALS[key].custom) {
+        console.error(`Custom material "${definition.name}" would replace built-in material "${key}"`);
+        return null;
+    }
+
+    // Saved materials keep the flag along with the values that were assumed for them
+    const assumedExpansion = !!definition.assumedExpansion ||
+        !(definition.thermalExpansion >= 0) || !(definition.hygroscopicExpansion >= 0);
+    if (assumedExpansion) {
+        console.warn(`Custom material "${definition.name}": no thermal/hygroscopic expansion given, drift uses default coefficients`);
+    }
+
+    const color = Array.isArray(definition.color) && definition.color.length === 3
+        ? definition.color.map(c => clamp(Math.round(c), 0, 255))
+        : [150, 150, 150];
+
+    STRING_MATERIALS[key] = {
+        name: definition.name.trim(),
+        density: definition.density,
+        youngsModulus: definition.youngsModulus,
+        yieldStrength: definition.yieldStrength > 0 ? definition.yieldStrength : definition.breakingStrength * 0.8,
+        breakingStrength: definition.breakingStrength,
+        thermalExpansion: definition.thermalExpansion >= 0 ? definition.thermalExpansion : 20e-6,
+        hygroscopicExpansion: definition.hygroscopicExpansion >= 0 ? definition.hygroscopicExpansion : 0,
+        assumedExpansion: assumedExpansion,
+        lossFactor: definition.lossFactor > 0 ? definition.lossFactor : AUDIO_CONSTANTS.MODAL_DEFAULT_LOSS,
+        tensionRange: [range[0], range[1]],
+        defaultTension: definition.defaultTension || Math.round((range[0] + range[1]) / 2),
+        color: color,
+        description: definition.description || 'User-defined material',
+        custom: true
+    };
+
+    console.log(`✓ Registered custom material: ${STRING_MATERIALS[key].name} (${key})`);
+    return key;
+}
+
+/**
+ * Add or update a user-defined gauge in STRING_GAUGES
+ *
+ * @param {object} definition - {name, diameter (mm), description?}
+ * @param {string} key - Existing key to reuse (optional, derived from name otherwise)
+ * @returns {string|null} - Gauge key, or null if the definition is invalid
+ */
+function registerCustomGauge(definition, key) {
+    if (!definition || !definition.name || !definition.name.trim()) {
+        console.error("Custom gauge needs a name");
+        return null;
+    }
+    if (!(definition.diameter > 0)) {
+        console.error(`Custom gauge "${definition.name}": diameter must be a positive number`);
+        return null;
+    }
+
+    key = key || makeCustomKey(definition.name);
+    if (STRING_GAUGES[key] && !STRING_GAUGES[key].custom) {
+        console.error(`Custom gauge "${definition.name}" would replace built-in gauge "${key}"`);
+        return null;
+    }
+
+    STRING_GAUGES[key] = {
+        name: definition.name.trim(),
+        diameter: definition.diameter,
+        description: definition.description || 'User-defined gauge',
+        custom: true
+    };
+
+    console.log(`✓ Registered custom gauge: ${STRING_GAUGES[key].name} ${definition.diameter}mm (${key})`);
+    return key;
+}
+
+/**
+ * Remove a user-defined material if no string uses it
+ *
+ * @param {string} key - Material key
+ * @param {Array<HarpString>} strings - Strings to check
+ * @returns {boolean} - Success status
+ */
+function removeCustomMaterial(key, strings) {
+    if (!STRING_MATERIALS[key] || !STRING_MATERIALS[key].custom) return false;
+
+    const inUse = strings.some(s => s.material === key ||
+        (STRING_WINDINGS[s.winding] && STRING_WINDINGS[s.winding].wrapMaterial === key));
+    if (inUse) {
+        console.error(`Custom material "${key}" is in use and cannot be removed`);
+        return false;
+    }
+
+    delete STRING_MATERIALS[key];
+    return true;
+}
+
+/**
+ * Remove a user-defined gauge if no string uses it
+ *
+ * @param {string} key - Gauge key
+ * @param {Array<HarpString>} strings - Strings to check
+ * @returns {boolean} - Success status
+ */
+function removeCustomGauge(key, strings) {
+    if (!STRING_GAUGES[key] || !STRING_GAUGES[key].custom) return false;
+
+    if (strings.some(s => s.gauge === key)) {
+        console.error(`Custom gauge "${key}" is in use and cannot be removed`);
+        return false;
+    }
+
+    delete STRING_GAUGES[key];
+    return true;
+}
+
+/**
+ * Get user-defined materials (without the custom flag) for saving
+ *
+ * @returns {object} - Map of key to material definition
+ */
+function getCustomMaterials() {
+    const custom = {};
+    Object.keys(STRING_MATERIALS).forEach(key => {
+        if (STRING_MATERIALS[key].custom) {
+            const definition = Object.assign({}, STRING_MATERIALS[key]);
+            delete definition.custom;
+            custom[key] = definition;
+        }
+    });
+    return custom;
+}
+
+/**
+ * Get user-defined gauges (without the custom flag) for saving
+ *
+ * @returns {object} - Map of key to gauge definition
+ */
+function getCustomGauges() {
+    const custom = {};
+    Object.keys(STRING_GAUGES).forEach(key => {
+        if (STRING_GAUGES[key].custom) {
+            const definition = Object.assign({}, STRING_GAUGES[key]);
+            delete definition.custom;
+            custom[key] = definition;
+        }
+    });
+    return custom;
+}
+
+/**
+ * Get saved audio presets from localStorage
+ *
+ * @returns {object} - Map of preset name to preset (from HarpAudioEngine.getAudioPreset)
+ */
+function getAudioPresets() {
+    try {
+        return JSON.parse(localStorage.getItem('wallHarpAudioPresets')) || {};
+    } catch (error) {
+        console.error("Stored audio presets are unreadable:", error);
+        return {};
+    }
+}
+
+/**
+ * Save an audio preset under a name, replacing any preset with that name
+ *
+ * @param {string} name - Preset name
+ * @param {object} preset - From HarpAudioEngine.getAudioPreset
+ * @returns {boolean} - Success status
+ */
+function saveAudioPreset(name, preset) {
+    if (!name || !name.trim()) {
+        console.error("Audio preset needs a name");
+        return false;
+    }
+
+    const presets = getAudioPresets();
+    presets[name.trim()] = preset;
+    localStorage.setItem('wallHarpAudioPresets', JSON.stringify(presets));
+    console.log("✓ Audio preset saved:", name.trim());
+    return true;
+}
+
+/**
+ * Delete a saved audio preset
+ *
+ * @param {string} name - Preset name
+ * @returns {boolean} - Whether the preset existed
+ */
+function deleteAudioPreset(name) {
+    const presets = getAudioPresets();
+    if (!presets[name]) return false;
+
+    delete presets[name];
+    localStorage.setItem('wallHarpAudioPresets', JSON.stringify(presets));
+    console.log("Audio preset deleted:", name);
+    return true;
+}
+
 /**
  * Format frequency for display
  *
@@ -430,6 +698,25 @@ function checkStringOverlap(string, allStrings) {
     return false;
 }
 
+/**
+ * Project a point onto a line segment
+ * @param {number} px - Point X
+ * @param {number} py - Point Y
+ * @param {number} x1 - Line start X
+ * @param {number} y1 - Line start Y
+ * @param {number} x2 - Line end X
+ * @param {number} y2 - Line end Y
+ * @returns {number} - Position along the segment (0 at start, 1 at end)
+ */
+function projectOntoLineSegment(px, py, x1, y1, x2, y2) {
+    const C = x2 - x1;
+    const D = y2 - y1;
+    const lenSq = C * C + D * D;
+    if (lenSq === 0) return 0;
+
+    return clamp(((px - x1) * C + (py - y1) * D) / lenSq, 0, 1);
+}
+
 /**
  * Calculate distance from point to line segment
  * @param {number} px - Point X
@@ -563,15 +850,8 @@ function quantizeStringPitch(string, scaleFilter = 'none', rootNote = 48) {
     // Convert target MIDI back to frequency
     const targetFreq = midiToFrequency(targetMidi);
 
-    // Calculate required string length for target frequency
-    // f = (v / 2L) where v = wave speed, L = length
-    const waveSpeed = PHYSICS_CONSTANTS.calculateWaveSpeed(
-        string.material,
-        string.gauge,
-        string.tension
-    );
-    const requiredLengthMeters = waveSpeed / (2 * targetFreq);
-    const requiredLengthMm = requiredLengthMeters * 1000;
+    // Calculate required string length for target frequency, including the stiffness correction
+    const requiredLengthMm = string.calculateLengthFromFrequency(targetFreq);
 
     // Calculate current string length in mm
     const dx = string.endX - string.startX;
@@ -622,6 +902,15 @@ if (typeof module !== 'undefined' && module.exports) {
         importConfiguration,
         downloadConfiguration,
         loadConfigurationFromFile,
+        registerCustomMaterial,
+        registerCustomGauge,
+        removeCustomMaterial,
+        removeCustomGauge,
+        getCustomMaterials,
+        getCustomGauges,
+        getAudioPresets,
+        saveAudioPreset,
+        deleteAudioPreset,
         formatFrequency,
         formatLength,
         formatCents,
@@ -280,9 +280,9 @@ function drawStringInDrawMode(p, string, isSelected, isHovered) {
         Math.floor(materialColor[2] * 0.8)
     ];
 
-    // Calculate string thickness based on gauge
+    // Calculate string thickness based on gauge (outer diameter for wound strings)
     const gaugeData = STRING_GAUGES[string.gauge];
-    const baseThickness = gaugeData ? (gaugeData.diameter * 10) : 4;
+    const baseThickness = gaugeData ? (PHYSICS_CONSTANTS.calculateOuterDiameter(string.gauge, string.winding) * 10) : 4;
     const stringThickness = Math.max(4, baseThickness * 1.2);
 
     // Draw the string line
@@ -362,6 +362,9 @@ function drawStringInDrawMode(p, string, isSelected, isHovered) {
     drawEndpoint(p, string.startX, string.startY, string.isDraggingStart, true, materialColor, p.width, p.height, showCoords);
     drawEndpoint(p, string.endX, string.endY, string.isDraggingEnd, false, materialColor, p.width, p.height, showCoords);
 
+    // Flag overstressed strings at the midpoint
+    drawStressWarning(p, (string.startX + string.endX) / 2, (string.startY + string.endY) / 2, string);
+
     // Draw string info overlay only when selected or playing (removed hover)
     if (isSelected || string.isPlaying) {
         const midX = (string.startX + string.endX) / 2;
@@ -377,11 +380,13 @@ function drawStringInDrawMode(p, string, isSelected, isHovered) {
         // Get material and gauge info
         const materialName = STRING_MATERIALS[string.material]?.name || string.material;
         const gaugeName = STRING_GAUGES[string.gauge]?.name || string.gauge;
+        const wrap = STRING_WINDINGS[string.winding];
+        const windingName = wrap && wrap.wrapMaterial ? ' + ' + wrap.name : '';
 
         // Build info text
         const freq = string.actualFrequency.toFixed(1);
         const line1 = `#${string.index + 1}: ${string.noteName} | ${freq}Hz`;
-        const line2 = `${lengthStr} | ${materialName} ${gaugeName}`;
+        const line2 = `${lengthStr} | ${materialName} ${gaugeName}${windingName}`;
         const line3 = `${string.tension.toFixed(0)}N`;
 
         // Calculate perpendicular offset for text (place text to the side of the string)
@@ -433,8 +438,10 @@ function drawStringInDrawMode(p, string, isSelected, isHovered) {
  * @param {boolean} isSelected - Whether this string is selected
  * @param {string} currentMode - Current interaction mode
  * @param {boolean} isHovered - Whether this string is hovered
+ * @param {number} harmonicCount - Highest harmonic to mark in harmonic mode
  */
-function drawString(p, string, isSelected, currentMode, isHovered = false) {
+function drawString(p, string, isSelected, currentMode, isHovered = false,
+                    harmonicCount = INTERACTION_CONSTANTS.DEFAULT_HARMONIC_COUNT) {
     // Only show draw mode strings when in DRAW mode
     if (currentMode === INTERACTION_CONSTANTS.MODES.DRAW && string.drawMode && string.startX !== null) {
         drawStringInDrawMode(p, string, isSelected, isHovered);
@@ -487,27 +494,24 @@ function drawString(p, string, isSelected, currentMode, isHovered = false) {
         Math.floor(materialColor[2] * 0.8)
     ];
 
-    // Calculate string thickness based on gauge
+    // Calculate string thickness based on gauge (outer diameter for wound strings)
     const gaugeData = STRING_GAUGES[string.gauge];
-    const baseThickness = gaugeData ? (gaugeData.diameter * 10) : 4;
+    const baseThickness = gaugeData ? (PHYSICS_CONSTANTS.calculateOuterDiameter(string.gauge, string.winding) * 10) : 4;
     const fullStringThickness = Math.max(3, baseThickness * 0.8);
     const playableThickness = Math.max(4, baseThickness * 1.2);
 
-    // Draw NON-PLAYABLE sections (outside capos) with reduced opacity (30%)
-    // Top section (from top bridge to upper capo)
-    p.stroke(matteColor[0], matteColor[1], matteColor[2], 80);
-    p.strokeWeight(fullStringThickness);
-    p.line(x, topBridgeY, x, upperCapoY);
-
-    // Bottom section (from lower capo to soundbox)
-    p.stroke(matteColor[0], matteColor[1], matteColor[2], 80);
-    p.strokeWeight(fullStringThickness);
-    p.line(x, lowerCapoY, x, soundboxY);
+    // Draw OUTER sections (outside capos) - reduced opacity (30%) unless reverse capo mode rings them
+    const outerThickness = string.reverseCapoMode ? playableThickness : fullStringThickness;
+    const outerAlpha = string.reverseCapoMode ? 220 : 80;
+    drawOuterSegment(p, x, topBridgeY, upperCapoY, string.playingSegments.includes('upper'),
+        matteColor, outerThickness, outerAlpha, string.playingAmplitude);
+    drawOuterSegment(p, x, lowerCapoY, soundboxY, string.playingSegments.includes('lower'),
+        matteColor, outerThickness, outerAlpha, string.playingAmplitude);
 
     // Draw PLAYABLE section (between capos) - thicker, full matte color
-    if (string.isPlaying) {
-        // Animated vibration effect
-        const vibrationAmount = string.playingAmplitude * 5;
+    if (string.isPlaying && string.playingSegments.includes('middle')) {
+        // Animated vibration effect (a damped middle barely moves)
+        const vibrationAmount = string.playingAmplitude * (string.reverseCapoMode ? 1 : 5);
         const vibrationX = x + p.sin(p.frameCount * 0.3) * vibrationAmount;
 
         // Glow effect for playing string
@@ -521,23 +525,37 @@ function drawString(p, string, isSelected, currentMode, isHovered = false) {
         p.line(vibrationX, lowerCapoY, vibrationX, upperCapoY);
 
     } else {
-        // Static string - use matte color
+        // Static string - use matte color (faded when damped by reverse capo mode)
+        const middleAlpha = string.reverseCapoMode ? 90 : 255;
         if (isSelected) {
             // Selected: show matte color with black outline
             p.stroke(0, 0, 0); // Black outline
             p.strokeWeight(playableThickness * 1.6);
             p.line(x, lowerCapoY, x, upperCapoY);
 
-            p.stroke(matteColor[0], matteColor[1], matteColor[2], 255); // Full matte color
+            p.stroke(matteColor[0], matteColor[1], matteColor[2], middleAlpha); // Full matte color
             p.strokeWeight(playableThickness * 1.3);
             p.line(x, lowerCapoY, x, upperCapoY);
         } else {
-            p.stroke(matteColor[0], matteColor[1], matteColor[2], 220);
+            p.stroke(matteColor[0], matteColor[1], matteColor[2], string.reverseCapoMode ? 90 : 220);
             p.strokeWeight(playableThickness);
             p.line(x, lowerCapoY, x, upperCapoY);
         }
     }
 
+    // Faint vibration while ringing sympathetically
+    if (string.sympatheticAmplitude > 0 && !string.isPlaying) {
+        const spans = {
+            lower: [lowerCapoY, soundboxY],
+            middle: [lowerCapoY, upperCapoY],
+            upper: [topBridgeY, upperCapoY]
+        };
+        string.getSoundingSegmentNames().forEach(name => {
+            drawSympatheticVibration(p, x, spans[name][0], spans[name][1], string.sympatheticAmplitude,
+                matteColor, playableThickness);
+        });
+    }
+
     // Draw capos
     drawCapo(p, x, lowerCapoY, string.isDraggingLowerCapo);
     drawCapo(p, x, upperCapoY, string.isDraggingUpperCapo);
@@ -547,6 +565,129 @@ function drawString(p, string, isSelected, currentMode, isHovered = false) {
     p.fill(VISUAL_CONSTANTS.COLORS.capoStroke);
     p.circle(x, soundboxY, 3);
     p.circle(x, topBridgeY, 3);
+
+    // Node positions for touching natural harmonics
+    if (currentMode === INTERACTION_CONSTANTS.MODES.HARMONIC) {
+        drawHarmonicNodes(p, x, string, harmonicCount, isSelected);
+    }
+
+    // Flag overstressed strings above the note name
+    drawStressWarning(p, x, topBridgeY - 30, string);
+}
+
+/**
+ * Draw harmonic node markers along the vibrating length
+ * Each node is drawn once, at the lowest harmonic it belongs to.
+ *
+ * @param {p5} p - p5.js instance
+ * @param {number} x - X position
+ * @param {HarpString} string - String to mark
+ * @param {number} count - Highest harmonic to mark
+ * @param {boolean} showLabels - Label nodes with their fraction
+ */
+function drawHarmonicNodes(p, x, string, count, showLabels) {
+    const color = VISUAL_CONSTANTS.HARMONIC_NODE_COLOR;
+    const drawn = [];
+
+    string.getHarmonics(count).forEach(harmonic => {
+        harmonic.nodes.forEach((node, i) => {
+            // Skip nodes shared with a lower harmonic (2/4 is the same point as 1/2)
+            if (drawn.some(f => Math.abs(f - node.fraction) < 1e-9)) return;
+            drawn.push(node.fraction);
+
+            const y = mmToScreenY(node.positionMm, p.height);
+            const size = Math.max(4, 12 - harmonic.number);
+
+            p.stroke(255, 255, 255);
+            p.strokeWeight(1);
+            p.fill(color[0], color[1], color[2]);
+            p.circle(x, y, size);
+
+            if (showLabels) {
+                p.noStroke();
+                p.textAlign(p.LEFT, p.CENTER);
+                p.textSize(9);
+                p.text((i + 1) + '/' + harmonic.number + ' ' + harmonic.noteName, x + 8, y);
+            }
+        });
+    });
+}
+
+/**
+ * Draw a string segment outside the capos
+ *
+ * @param {p5} p - p5.js instance
+ * @param {number} x - X position
+ * @param {number} y1 - Segment start Y
+ * @param {number} y2 - Segment end Y
+ * @param {boolean} isPlaying - Whether this segment is sounding
+ * @param {Array} color - Matte RGB color
+ * @param {number} thickness - Stroke weight
+ * @param {number} alpha - Stroke alpha when static
+ * @param {number} amplitude - Current vibration amplitude
+ */
+function drawOuterSegment(p, x, y1, y2, isPlaying, color, thickness, alpha, amplitude) {
+    if (isPlaying) {
+        const vibrationX = x + p.sin(p.frameCount * 0.3) * amplitude * 5;
+
+        p.stroke(color[0], color[1], color[2], 120);
+        p.strokeWeight(thickness * 3);
+        p.line(vibrationX, y1, vibrationX, y2);
+
+        p.stroke(color[0], color[1], color[2], 255);
+        p.strokeWeight(thickness * 1.8);
+        p.line(vibrationX, y1, vibrationX, y2);
+        return;
+    }
+
+    p.stroke(color[0], color[1], color[2], alpha);
+    p.strokeWeight(thickness);
+    p.line(x, y1, x, y2);
+}
+
+/**
+ * Draw a faint vibration for a string ringing sympathetically
+ *
+ * @param {p5} p - p5.js instance
+ * @param {number} x - X position
+ * @param {number} y1 - Segment start Y
+ * @param {number} y2 - Segment end Y
+ * @param {number} amplitude - Sympathetic amplitude 0-1
+ * @param {Array} color - Matte RGB color
+ * @param {number} thickness - Stroke weight
+ */
+function drawSympatheticVibration(p, x, y1, y2, amplitude, color, thickness) {
+    const vibrationX = x + p.sin(p.frameCount * 0.3) * amplitude * 4;
+
+    p.stroke(color[0], color[1], color[2], 40 + amplitude * 120);
+    p.strokeWeight(thickness * 1.5);
+    p.line(vibrationX, y1, vibrationX, y2);
+}
+
+/**
+ * Draw a warning marker for a string that is overstressed
+ *
+ * @param {p5} p - p5.js instance
+ * @param {number} x - X position
+ * @param {number} y - Y position (marker center)
+ * @param {HarpString} string - String to check
+ */
+function drawStressWarning(p, x, y, string) {
+    if (!string.stressStatus || string.stressStatus === 'ok') return;
+
+    const color = VISUAL_CONSTANTS.STRESS_COLORS[string.stressStatus];
+    const size = 8;
+
+    p.noStroke();
+    p.fill(color[0], color[1], color[2]);
+    p.triangle(x, y - size, x - size, y + size * 0.7, x + size, y + size * 0.7);
+
+    p.fill(255, 255, 255);
+    p.textAlign(p.CENTER, p.CENTER);
+    p.textSize(9);
+    p.textStyle(p.BOLD);
+    p.text('!', x, y + 1);
+    p.textStyle(p.NORMAL);
 }
 
 /**
@@ -658,6 +799,106 @@ function drawPlayingStringInfo(p, strings) {
     p.textStyle(p.NORMAL); // Reset to normal
 }
 
+/**
+ * Draw the spectrum analyser and oscilloscope panel docked to a canvas corner
+ * The spectrum uses a log frequency axis up to Nyquist, with the expected partials
+ * of the selected string marked so stray peaks (aliasing, effects) stand out.
+ *
+ * @param {p5} p - p5.js instance
+ * @param {object|null} scope - {spectrum (dB per bin), waveform, sampleRate}, null when audio is off
+ * @param {Array<number>} partials - Expected partial frequencies in Hz
+ * @param {string} dock - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+ */
+function drawScopePanel(p, scope, partials, dock) {
+    const w = VISUAL_CONSTANTS.SCOPE_PANEL_WIDTH;
+    const h = VISUAL_CONSTANTS.SCOPE_PANEL_HEIGHT;
+    const margin = VISUAL_CONSTANTS.SCOPE_PANEL_MARGIN;
+    const x = dock.endsWith('left') ? margin : p.width - w - margin;
+    const y = dock.startsWith('top') ? margin + VISUAL_CONSTANTS.TOP_MARGIN : p.height - h - margin - VISUAL_CONSTANTS.BOTTOM_MARGIN;
+    const spectrumHeight = h * VISUAL_CONSTANTS.SCOPE_SPECTRUM_FRACTION;
+    const scopeTop = y + spectrumHeight;
+    const scopeHeight = h - spectrumHeight;
+
+    p.push();
+    p.fill(255, 255, 255, 235);
+    p.stroke(0);
+    p.strokeWeight(1);
+    p.rect(x, y, w, h);
+    p.line(x, scopeTop, x + w, scopeTop);
+
+    p.noStroke();
+    p.fill(0);
+    p.textSize(10);
+    p.textAlign(p.LEFT, p.TOP);
+    p.text('SPECTRUM', x + 5, y + 4);
+    p.text('SCOPE', x + 5, scopeTop + 4);
+
+    if (!scope) {
+        p.textAlign(p.CENTER, p.CENTER);
+        p.text('AUDIO OFF', x + w / 2, y + h / 2);
+        p.pop();
+        return;
+    }
+
+    const nyquist = scope.sampleRate / 2;
+    const minFrequency = VISUAL_CONSTANTS.SPECTRUM_MIN_FREQUENCY;
+    const minDb = VISUAL_CONSTANTS.SPECTRUM_MIN_DB;
+    const maxDb = VISUAL_CONSTANTS.SPECTRUM_MAX_DB;
+    const frequencyToX = f => x + w * Math.log(f / minFrequency) / Math.log(nyquist / minFrequency);
+    const dbToY = db => y + spectrumHeight * (1 - (clamp(db, minDb, maxDb) - minDb) / (maxDb - minDb));
+
+    // Decade grid
+    p.textAlign(p.CENTER, p.BOTTOM);
+    [100, 1000, 10000].forEach(f => {
+        if (f >= nyquist) return;
+        const gx = frequencyToX(f);
+        p.stroke(220);
+        p.line(gx, y, gx, scopeTop);
+        p.noStroke();
+        p.fill(120);
+        p.text(f >= 1000 ? (f / 1000) + 'k' : f, gx, scopeTop - 2);
+    });
+
+    // Expected partials of the selected string
+    p.stroke(...VISUAL_CONSTANTS.HARMONIC_NODE_COLOR);
+    partials.forEach(f => {
+        if (f < minFrequency || f >= nyquist) return;
+        const px = frequencyToX(f);
+        p.line(px, y + 14, px, scopeTop);
+    });
+
+    // Spectrum (bin i is at i * nyquist / bins)
+    const binWidth = nyquist / scope.spectrum.length;
+    p.noFill();
+    p.stroke(0);
+    p.beginShape();
+    for (let i = Math.ceil(minFrequency / binWidth); i < scope.spectrum.length; i++) {
+        p.vertex(frequencyToX(i * binWidth), dbToY(scope.spectrum[i]));
+    }
+    p.endShape();
+
+    // Oscilloscope, triggered on a rising zero crossing so periodic tones hold still
+    const wave = scope.waveform;
+    let start = 0;
+    for (let i = 1; i < wave.length / 2; i++) {
+        if (wave[i - 1] < 0 && wave[i] >= 0) {
+            start = i;
+            break;
+        }
+    }
+    const count = Math.min(VISUAL_CONSTANTS.SCOPE_SAMPLES, wave.length - start);
+    p.stroke(0);
+    p.beginShape();
+    for (let j = 0; j < count; j++) {
+        const vx = x + w * j / (count - 1);
+        const vy = scopeTop + scopeHeight / 2 * (1 - clamp(wave[start + j], -1, 1));
+        p.vertex(vx, vy);
+    }
+    p.endShape();
+
+    p.pop();
+}
+
 /**
  * Draw keyboard shortcuts help overlay
  *
@@ -677,7 +918,8 @@ function drawKeyboardShortcuts(p, currentMode) {
             'CLICK : PLUCK',
             'DEL : DELETE STRING',
             'SPACE : PLUCK',
-            '1-4 : MODE'
+            'D / ESC : DAMP SEL / ALL',
+            '1-5 : MODE'
         ];
     } else {
         // Standard mode shortcuts - include capo controls
@@ -688,7 +930,9 @@ function drawKeyboardShortcuts(p, currentMode) {
             '+ - : SEMITONE',
             'PgUp/PgDn : OCTAVE',
             'SPACE : PLUCK',
-            '1-4 : MODE',
+            'ALT+CLICK : DAMP STRING',
+            'D / ESC : DAMP SEL / ALL',
+            '1-5 : MODE',
             'T : TEST AUDIO'
         ];
     }
@@ -798,6 +1042,11 @@ if (typeof module !== 'undefined' && module.exports) {
         drawMeasurementRuler,
         drawString,
         drawCapo,
+        drawStressWarning,
+        drawHarmonicNodes,
+        drawOuterSegment,
+        drawSympatheticVibration,
+        drawScopePanel,
         drawUIOverlay,
         drawKeyboardShortcuts,
         drawStringHighlight,